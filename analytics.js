@@ -0,0 +1,281 @@
+// Post-show analytics - built from a game's timeline, the structured record of
+// what happened and when. Each timeline entry is { at, type, ...fields }:
+//
+//   join / rejoin      { playerId, playerName, teamName }  a player's socket attached
+//   disconnect         { playerId }                        socket lost (or server restarted)
+//   leave / kick       { playerId }                        gone from the game for good
+//   move               { playerId, teamName }              switched teams
+//   round              { game, round }                     the host moved to a round
+//   phase              { phase, previous }
+//   buzz               { playerId, teamName, reactionTime, position }
+//   buzzWrong          { playerId, teamName }
+//   score              { teamName, roundIndex, oldValue, newValue }
+
+function average(values) {
+    if (!values.length) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function buzzStats(buzzes, wrongBuzzes) {
+    const reactionTimes = buzzes.map(buzz => buzz.reactionTime).filter(time => time !== null && time !== undefined);
+    return {
+        buzzes: buzzes.length,
+        firstPlaceBuzzes: buzzes.filter(buzz => buzz.position === 1).length,
+        wrongBuzzes: wrongBuzzes.length,
+        averageReactionTime: average(reactionTimes),
+        fastestReactionTime: reactionTimes.length ? Math.min(...reactionTimes) : null
+    };
+}
+
+// Connected time per player, from the join/rejoin and disconnect/leave/kick pairs
+function buildAttendance(timeline, endedAt) {
+    const players = new Map(); // playerId -> attendance row
+    const openSince = new Map(); // playerId -> time the current connection started
+    let online = 0;
+    let peakOnline = 0;
+
+    timeline.forEach(event => {
+        if (event.type === 'join' || event.type === 'rejoin') {
+            if (!players.has(event.playerId)) {
+                players.set(event.playerId, {
+                    playerId: event.playerId,
+                    name: event.playerName,
+                    teamName: event.teamName,
+                    joinedAt: event.at,
+                    connectedMs: 0,
+                    reconnects: 0,
+                    left: false
+                });
+            }
+            const row = players.get(event.playerId);
+            if (event.type === 'rejoin') row.reconnects++;
+            row.left = false;
+            if (!openSince.has(event.playerId)) {
+                openSince.set(event.playerId, event.at);
+                peakOnline = Math.max(peakOnline, ++online);
+            }
+        } else if (['disconnect', 'leave', 'kick'].includes(event.type)) {
+            const row = players.get(event.playerId);
+            if (row && event.type !== 'disconnect') row.left = true;
+            if (openSince.has(event.playerId)) {
+                row.connectedMs += event.at - openSince.get(event.playerId);
+                openSince.delete(event.playerId);
+                online--;
+            }
+        } else if (event.type === 'move' && players.has(event.playerId)) {
+            players.get(event.playerId).teamName = event.teamName;
+        }
+    });
+
+    // Still connected when the report was made (or the game ended)
+    openSince.forEach((since, playerId) => {
+        players.get(playerId).connectedMs += Math.max(0, endedAt - since);
+    });
+
+    return {
+        playersJoined: players.size,
+        peakOnline: peakOnline,
+        players: Array.from(players.values())
+    };
+}
+
+// Replays score changes in order; a lead change is a new team alone at the top
+function buildLeadChanges(timeline, rounds) {
+    const scores = new Map(); // teamName -> roundScores
+    const changes = [];
+    let leader = null;
+
+    timeline.filter(event => event.type === 'score').forEach(event => {
+        if (!scores.has(event.teamName)) scores.set(event.teamName, []);
+        scores.get(event.teamName)[event.roundIndex] = event.newValue;
+
+        const totals = Array.from(scores, ([teamName, roundScores]) => ({
+            teamName: teamName,
+            total: roundScores.reduce((sum, score) => sum + (score || 0), 0)
+        })).sort((a, b) => b.total - a.total);
+
+        const top = totals[0];
+        if (totals.length > 1 && totals[1].total === top.total) return;
+        if (top.teamName === leader) return;
+
+        changes.push({
+            at: event.at,
+            teamName: top.teamName,
+            previousLeader: leader,
+            totalScore: top.total,
+            round: rounds[event.roundIndex] || null
+        });
+        leader = top.teamName;
+    });
+    return changes;
+}
+
+// Running totals after each round, from the final round scores
+function buildProgression(results) {
+    const totals = new Map(results.teams.map(team => [team.name, 0]));
+    return results.rounds.map((round, i) => {
+        const scores = results.teams.map(team => {
+            const score = team.roundScores[i];
+            totals.set(team.name, totals.get(team.name) + (score || 0));
+            return { teamName: team.name, score: score, totalScore: totals.get(team.name) };
+        });
+        const best = Math.max(...scores.map(score => score.totalScore));
+        return {
+            ...round,
+            scores: scores,
+            leaders: scores.filter(score => score.totalScore === best).map(score => score.teamName)
+        };
+    });
+}
+
+// game: { gameCode, createdAt, timeline, results } with results from GameState#getResults()
+function buildReport(game, now = Date.now()) {
+    const { timeline, results } = game;
+    const phases = timeline.filter(event => event.type === 'phase');
+    const startedAt = phases.find(event => event.previous === 'lobby')?.at ?? null;
+    const endedAt = phases.find(event => event.phase === 'finished')?.at ?? null;
+
+    const buzzes = timeline.filter(event => event.type === 'buzz');
+    const wrongBuzzes = timeline.filter(event => event.type === 'buzzWrong');
+    const attendance = buildAttendance(timeline, endedAt ?? now);
+
+    return {
+        gameCode: game.gameCode,
+        createdAt: game.createdAt,
+        generatedAt: now,
+        startedAt: startedAt,
+        endedAt: endedAt,
+        durationMs: startedAt === null ? null : (endedAt ?? now) - startedAt,
+        standings: results.teams.map(team => ({ rank: team.rank, teamName: team.name, totalScore: team.totalScore })),
+        buzzing: {
+            players: attendance.players.map(player => ({
+                playerId: player.playerId,
+                name: player.name,
+                teamName: player.teamName,
+                ...buzzStats(
+                    buzzes.filter(buzz => buzz.playerId === player.playerId),
+                    wrongBuzzes.filter(buzz => buzz.playerId === player.playerId)
+                )
+            })),
+            teams: results.teams.map(team => ({
+                teamName: team.name,
+                ...buzzStats(
+                    buzzes.filter(buzz => buzz.teamName === team.name),
+                    wrongBuzzes.filter(buzz => buzz.teamName === team.name)
+                )
+            }))
+        },
+        rounds: buildProgression(results),
+        leadChanges: buildLeadChanges(timeline, results.rounds),
+        attendance: attendance,
+        timeline: timeline
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function formatTime(at) {
+    return at === null ? '-' : new Date(at).toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+}
+
+function formatDuration(ms) {
+    if (ms === null) return '-';
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function formatMs(ms) {
+    return ms === null ? '-' : `${ms} ms`;
+}
+
+function table(headers, rows) {
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+// A standalone page - no scripts or external assets, so it can be saved and mailed around
+function renderReportHtml(report) {
+    const buzzColumns = ['Buzzes', 'First in', 'Wrong', 'Avg reaction', 'Fastest'];
+    const buzzCells = stats => [
+        stats.buzzes,
+        stats.firstPlaceBuzzes,
+        stats.wrongBuzzes,
+        formatMs(stats.averageReactionTime),
+        formatMs(stats.fastestReactionTime)
+    ];
+    const teamNames = report.standings.map(row => row.teamName);
+
+    const sections = [
+        `<h1>Game ${escapeHtml(report.gameCode)} - post-show report</h1>`,
+        `<p>Started ${formatTime(report.startedAt)}, ended ${formatTime(report.endedAt)} ` +
+            `(${formatDuration(report.durationMs)}). Generated ${formatTime(report.generatedAt)}.</p>`,
+
+        '<h2>Final standings</h2>',
+        table(['Rank', 'Team', 'Total'], report.standings.map(row => [row.rank, row.teamName, row.totalScore])),
+
+        '<h2>Score progression</h2>',
+        table(['Round', ...teamNames, 'Leading'], report.rounds.map(round => [
+            `G${round.game} ${round.name}`,
+            ...round.scores.map(score => `${score.score ?? '-'} (${score.totalScore})`),
+            round.leaders.join(', ')
+        ])),
+
+        '<h2>Lead changes</h2>',
+        report.leadChanges.length ? table(['Time', 'Round', 'New leader', 'Previous leader', 'Total'],
+            report.leadChanges.map(change => [
+                formatTime(change.at),
+                change.round ? `G${change.round.game} ${change.round.name}` : '-',
+                change.teamName,
+                change.previousLeader ?? '-',
+                change.totalScore
+            ])) : '<p>No scores were recorded.</p>',
+
+        '<h2>Buzzing by team</h2>',
+        table(['Team', ...buzzColumns], report.buzzing.teams.map(team => [team.teamName, ...buzzCells(team)])),
+
+        '<h2>Buzzing by player</h2>',
+        table(['Player', 'Team', ...buzzColumns],
+            report.buzzing.players.map(player => [player.name, player.teamName, ...buzzCells(player)])),
+
+        '<h2>Attendance</h2>',
+        `<p>${report.attendance.playersJoined} player(s) joined, at most ${report.attendance.peakOnline} connected at once.</p>`,
+        table(['Player', 'Team', 'Joined', 'Connected', 'Reconnects', 'Left'],
+            report.attendance.players.map(player => [
+                player.name,
+                player.teamName,
+                formatTime(player.joinedAt),
+                formatDuration(player.connectedMs),
+                player.reconnects,
+                player.left ? 'yes' : 'no'
+            ]))
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Game ${escapeHtml(report.gameCode)} report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.7em; text-align: left; }
+th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    buildReport,
+    renderReportHtml
+};
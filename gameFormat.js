@@ -0,0 +1,213 @@
+// Game format - the structure of a show: games, each made of rounds.
+//
+// {
+//     tieBreakers: ['lastRound', 'suddenDeath'], // optional, see standings.js
+//     games: [
+//         {
+//             name: 'Game 1',
+//             rounds: [
+//                 { name: 'Opening', type: 'buzzer', points: 10, maxPoints: 50,
+//                   buzzer: { mode: 'single', arming: 'manual', earlyBuzzPenaltyMs: 500 } },
+//                 { name: 'Picture quiz', type: 'written', scoring: 'host' },
+//                 { name: 'Final', type: 'wager' }
+//             ]
+//         }
+//     ]
+// }
+
+const { TIE_BREAKERS } = require('./standings');
+
+const ROUND_TYPES = ['buzzer', 'written', 'wager'];
+const SCORING_MODES = ['self', 'host']; // managers report their own points, or the host marks submitted answers
+const BUZZER_MODES = ['ranked', 'single']; // queue every team, or stop at the first
+const BUZZER_ARMING = ['auto', 'manual']; // open as soon as buzzers clear, or wait for the host
+const MAX_EARLY_BUZZ_PENALTY_MS = 10000;
+
+const DEFAULT_BUZZER_SETTINGS = {
+    mode: 'ranked',
+    arming: 'auto',
+    earlyBuzzPenaltyMs: 0, // lockout for buzzing before the host arms
+    lockoutWrongTeams: false // a team marked wrong can't buzz again on the same question
+};
+const MAX_GAMES = 20;
+const MAX_ROUNDS = 50;
+const MAX_NAME_LENGTH = 60;
+
+function isNonNegativeNumber(value) {
+    return Number.isFinite(value) && value >= 0;
+}
+
+function validateRound(round, label, errors) {
+    if (!round || typeof round !== 'object') {
+        errors.push(`${label} must be an object`);
+        return null;
+    }
+
+    const type = round.type || 'buzzer';
+    if (!ROUND_TYPES.includes(type)) {
+        errors.push(`${label} has unknown type "${type}" (expected ${ROUND_TYPES.join(', ')})`);
+    }
+
+    if (round.name !== undefined && (typeof round.name !== 'string' || round.name.length > MAX_NAME_LENGTH)) {
+        errors.push(`${label} name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (round.points !== undefined && !isNonNegativeNumber(round.points)) {
+        errors.push(`${label} points must be a non-negative number`);
+    }
+
+    if (round.maxPoints !== undefined && !isNonNegativeNumber(round.maxPoints)) {
+        errors.push(`${label} maxPoints must be a non-negative number`);
+    }
+
+    if (round.scoring !== undefined && !SCORING_MODES.includes(round.scoring)) {
+        errors.push(`${label} scoring must be one of ${SCORING_MODES.join(', ')}`);
+    }
+
+    if (round.buzzer !== undefined) {
+        validateBuzzerSettings(round.buzzer, label, errors);
+    }
+
+    return {
+        ...round,
+        name: round.name || label,
+        type: type,
+        points: round.points ?? 1,
+        // Wager rounds are always settled by the host
+        scoring: type === 'wager' ? 'host' : round.scoring || 'self',
+        buzzer: buzzerSettings(round)
+    };
+}
+
+function validateTieBreakers(tieBreakers, errors) {
+    if (!Array.isArray(tieBreakers) || tieBreakers.some(rule => !TIE_BREAKERS.includes(rule))) {
+        errors.push(`tieBreakers must be a list of ${TIE_BREAKERS.join(', ')}`);
+    } else if (new Set(tieBreakers).size !== tieBreakers.length) {
+        errors.push('tieBreakers cannot list the same rule twice');
+    } else if (tieBreakers.includes('suddenDeath') && tieBreakers[tieBreakers.length - 1] !== 'suddenDeath') {
+        errors.push('suddenDeath must be the last tie-breaker');
+    }
+}
+
+function validateBuzzerSettings(buzzer, label, errors) {
+    if (!buzzer || typeof buzzer !== 'object') {
+        errors.push(`${label} buzzer must be an object`);
+        return;
+    }
+
+    if (buzzer.mode !== undefined && !BUZZER_MODES.includes(buzzer.mode)) {
+        errors.push(`${label} buzzer mode must be one of ${BUZZER_MODES.join(', ')}`);
+    }
+
+    if (buzzer.arming !== undefined && !BUZZER_ARMING.includes(buzzer.arming)) {
+        errors.push(`${label} buzzer arming must be one of ${BUZZER_ARMING.join(', ')}`);
+    }
+
+    if (buzzer.earlyBuzzPenaltyMs !== undefined &&
+        !(isNonNegativeNumber(buzzer.earlyBuzzPenaltyMs) && buzzer.earlyBuzzPenaltyMs <= MAX_EARLY_BUZZ_PENALTY_MS)) {
+        errors.push(`${label} buzzer earlyBuzzPenaltyMs must be between 0 and ${MAX_EARLY_BUZZ_PENALTY_MS}`);
+    }
+
+    if (buzzer.lockoutWrongTeams !== undefined && typeof buzzer.lockoutWrongTeams !== 'boolean') {
+        errors.push(`${label} buzzer lockoutWrongTeams must be true or false`);
+    }
+}
+
+// A round's buzzer settings with defaults filled in. Rounds saved before buzzer
+// settings existed (or a missing round) get the defaults.
+function buzzerSettings(round) {
+    const buzzer = round && typeof round.buzzer === 'object' ? round.buzzer : {};
+    return {
+        mode: buzzer.mode ?? DEFAULT_BUZZER_SETTINGS.mode,
+        arming: buzzer.arming ?? DEFAULT_BUZZER_SETTINGS.arming,
+        earlyBuzzPenaltyMs: buzzer.earlyBuzzPenaltyMs ?? DEFAULT_BUZZER_SETTINGS.earlyBuzzPenaltyMs,
+        lockoutWrongTeams: buzzer.lockoutWrongTeams ?? DEFAULT_BUZZER_SETTINGS.lockoutWrongTeams
+    };
+}
+
+// Older hosts send games as [name, roundCount] pairs - upgrade them to plain buzzer rounds
+function fromLegacyGames(games) {
+    return {
+        games: games.map(([name, roundCount]) => ({
+            name: name,
+            rounds: Array.from({ length: parseInt(roundCount, 10) || 0 }, (_, i) => ({
+                name: `Round ${i + 1}`,
+                type: 'buzzer'
+            }))
+        }))
+    };
+}
+
+// Returns { format, errors }. format is the normalized copy, only usable when errors is empty.
+function parseGameFormat(input) {
+    const errors = [];
+    let source = input;
+
+    if (Array.isArray(source) && source.every(Array.isArray)) {
+        source = fromLegacyGames(source);
+    }
+
+    if (!source || typeof source !== 'object' || !Array.isArray(source.games)) {
+        return { format: null, errors: ['Format must have a games array'] };
+    }
+
+    if (source.games.length === 0 || source.games.length > MAX_GAMES) {
+        errors.push(`Format must have between 1 and ${MAX_GAMES} games`);
+    }
+
+    const tieBreakers = source.tieBreakers ?? [];
+    validateTieBreakers(tieBreakers, errors);
+
+    const games = source.games.map((game, g) => {
+        const label = `Game ${g + 1}`;
+        if (!game || typeof game !== 'object' || !Array.isArray(game.rounds)) {
+            errors.push(`${label} must have a rounds array`);
+            return null;
+        }
+
+        if (game.rounds.length === 0 || game.rounds.length > MAX_ROUNDS) {
+            errors.push(`${label} must have between 1 and ${MAX_ROUNDS} rounds`);
+        }
+
+        return {
+            name: typeof game.name === 'string' ? game.name.slice(0, MAX_NAME_LENGTH) : label,
+            rounds: game.rounds.map((round, r) => validateRound(round, `${label} round ${r + 1}`, errors))
+        };
+    });
+
+    return { format: errors.length ? null : { tieBreakers: tieBreakers, games: games }, errors: errors };
+}
+
+// All rounds in play order, each tagged with its 1-based game and round numbers
+function flattenRounds(format) {
+    const rounds = [];
+    format.games.forEach((game, g) => {
+        game.rounds.forEach((round, r) => {
+            rounds.push({ ...round, gameNum: g + 1, roundNum: r + 1 });
+        });
+    });
+    return rounds;
+}
+
+// Returns an error string if score isn't allowed in the round, otherwise null
+function validateRoundScore(round, score) {
+    if (!Number.isFinite(score)) return 'Score must be a number';
+
+    // Wagers can take a team below zero
+    if (round.type === 'wager') return null;
+
+    if (score < 0) return 'Score cannot be negative';
+    if (round.maxPoints !== undefined && score > round.maxPoints) {
+        return `Score cannot exceed ${round.maxPoints} in ${round.name}`;
+    }
+    return null;
+}
+
+module.exports = {
+    ROUND_TYPES,
+    DEFAULT_BUZZER_SETTINGS,
+    buzzerSettings,
+    parseGameFormat,
+    flattenRounds,
+    validateRoundScore
+};
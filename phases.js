@@ -0,0 +1,76 @@
+// Game phases - where a game is in its lifecycle, which phase can follow which,
+// and which client messages make sense in each.
+//
+//   lobby         teams are joining, nothing has started
+//   in-round      a round is under way with the buzzers closed
+//   buzz-open     a round is under way and players can buzz
+//   scoring       teams are submitting scores for the round
+//   intermission  scoring has closed, waiting for the next round
+//   sudden-death  teams tied for first are buzzing off for the win
+//   finished      final scores are out; the game only awaits cleanup
+
+const PHASES = ['lobby', 'in-round', 'buzz-open', 'scoring', 'intermission', 'sudden-death', 'finished'];
+
+const PLAYING = ['in-round', 'buzz-open', 'scoring', 'intermission'];
+const ROUND = ['in-round', 'buzz-open'];
+
+const TRANSITIONS = {
+    lobby: [...ROUND, 'finished'],
+    'in-round': ['buzz-open', 'scoring', 'intermission', 'sudden-death', 'finished'],
+    'buzz-open': ['in-round', 'scoring', 'intermission', 'sudden-death', 'finished'],
+    scoring: [...ROUND, 'intermission', 'sudden-death', 'finished'],
+    intermission: [...ROUND, 'scoring', 'sudden-death', 'finished'],
+    'sudden-death': ['finished'],
+    finished: []
+};
+
+// Messages missing here are allowed in every phase (joining, rejoining,
+// moderation, clock sync and the like)
+const MESSAGE_PHASES = {
+    JOIN_GAME: ['lobby', ...PLAYING],
+    GAME_STARTED: ['lobby'],
+    ROUND_UPDATE: PLAYING,
+    PLAYER_BUZZ: [...ROUND, 'sudden-death'], // in-round too, so early buzzes can be penalised
+    CLEAR_BUZZERS: [...ROUND, 'sudden-death'],
+    CLEAR_PLAYER_BUZZ: ROUND,
+    ARM_BUZZERS: ROUND,
+    DISARM_BUZZERS: ROUND,
+    MARK_BUZZ_WRONG: [...ROUND, 'sudden-death'],
+    MARK_BUZZ_CORRECT: ['sudden-death'], // in rounds a right answer is just scored
+    ENABLE_SCORING: [...ROUND, 'intermission'],
+    CLOSE_SCORING: ['scoring'],
+    SUBMIT_SCORE: ['scoring'],
+    SCORE_UPDATED: [...PLAYING, 'finished'], // host corrections can come after the reveal
+    UNDO_SCORE_CHANGE: [...PLAYING, 'finished'],
+    SUBMIT_WAGER: ROUND,
+    LOCK_WAGERS: ROUND,
+    RESOLVE_WAGERS: PLAYING,
+    DRAFT_ANSWER: ROUND,
+    LOCK_ANSWER: ROUND,
+    CLOSE_ANSWERS: ROUND,
+    MARK_ANSWERS: PLAYING,
+    UPLOAD_QUESTIONS: ['lobby', ...PLAYING],
+    NEXT_QUESTION: ROUND,
+    REVEAL_QUESTION: PLAYING,
+    REVEAL_ANSWER: PLAYING,
+    START_TIMER: PLAYING,
+    PAUSE_TIMER: PLAYING,
+    RESUME_TIMER: PLAYING,
+    CANCEL_TIMER: PLAYING,
+    REVEAL_FINAL_SCORES: [...PLAYING, 'sudden-death'] // in sudden death it ends the buzz-off with no winner
+};
+
+function canTransition(from, to) {
+    return TRANSITIONS[from]?.includes(to) || false;
+}
+
+function phaseAllows(phase, messageType) {
+    const allowed = MESSAGE_PHASES[messageType];
+    return !allowed || allowed.includes(phase);
+}
+
+module.exports = {
+    PHASES,
+    canTransition,
+    phaseAllows
+};
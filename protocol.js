@@ -0,0 +1,271 @@
+// WebSocket protocol - the fields every client message type may carry.
+// Fields not listed are ignored; listed fields are checked before any handler runs.
+
+const { INVITABLE_ROLES } = require('./roles');
+
+const MAX_NAME_LENGTH = 30;
+const MAX_ID_LENGTH = 64;
+
+const gameCode = { type: 'string', required: true, maxLength: 12, pattern: /^[A-Za-z0-9_-]+$/ };
+const sessionToken = { type: 'string', required: true, maxLength: 2048 };
+const id = { type: 'string', maxLength: MAX_ID_LENGTH };
+const name = { type: 'string', required: true, maxLength: MAX_NAME_LENGTH, nonBlank: true };
+const position = { type: 'integer', required: true, min: 1 };
+const hostRole = { type: 'string', required: true, enum: INVITABLE_ROLES };
+const tournamentId = { type: 'string', maxLength: MAX_ID_LENGTH, pattern: /^[A-Za-z0-9_-]+$/ };
+
+// Shorthand for messages that need a host or player session
+const hostMessage = { gameCode, sessionToken };
+const playerMessage = { gameCode, sessionToken };
+
+// Optional on (re)joins - the last event seen, so only missed events are replayed
+const resumeFrom = {
+    lastSeq: { type: 'integer', min: 0 },
+    eventEpoch: id
+};
+
+const messageSchemas = {
+    CREATE_GAME: {
+        hostId: { ...id, required: true },
+        gameCode: { ...gameCode, required: false },
+        tournamentToken: { type: 'string', maxLength: 2048 }
+    },
+    JOIN_SPECTATOR: { gameCode, ...resumeFrom },
+    JOIN_GAME: {
+        gameCode,
+        playerId: id,
+        playerName: name,
+        teamName: name,
+        isManager: { type: 'boolean' } // ignored unless nobody manages the team yet
+    },
+    REJOIN_GAME: { gameCode, sessionToken, ...resumeFrom },
+    REJOIN_HOST: { gameCode, sessionToken, ...resumeFrom },
+    GAME_STARTED: {
+        ...hostMessage,
+        format: { type: 'object' },
+        games: { type: 'array', maxItems: 20 },
+        currentGame: { ...position, required: false },
+        currentRound: { ...position, required: false },
+        lockJoining: { type: 'boolean' }
+    },
+    ROUND_UPDATE: {
+        ...hostMessage,
+        currentGame: position,
+        currentRound: position
+    },
+    PLAYER_BUZZ: {
+        ...playerMessage,
+        pressedAt: { type: 'number' }
+    },
+    CLOCK_SYNC: {},
+    CLOCK_PONG: {
+        serverTime: { type: 'number', required: true },
+        clientTime: { type: 'number', required: true }
+    },
+    CLEAR_BUZZERS: {
+        ...hostMessage,
+        newQuestion: { type: 'boolean' } // also ends wrong-answer lockouts
+    },
+    ARM_BUZZERS: hostMessage,
+    DISARM_BUZZERS: hostMessage,
+    MARK_BUZZ_WRONG: {
+        ...hostMessage,
+        playerId: { ...id, required: true }
+    },
+    MARK_BUZZ_CORRECT: {
+        ...hostMessage,
+        playerId: { ...id, required: true }
+    },
+    CLEAR_PLAYER_BUZZ: {
+        ...hostMessage,
+        playerId: { ...id, required: true }
+    },
+    ENABLE_SCORING: hostMessage,
+    CLOSE_SCORING: hostMessage,
+    SUBMIT_SCORE: {
+        ...playerMessage,
+        score: { type: 'number', required: true, min: -1000000, max: 1000000 },
+        game: position,
+        round: position
+    },
+    MANAGER_CHANGED: {
+        ...hostMessage,
+        teamName: name,
+        newManagerId: { ...id, required: true }
+    },
+    SCORE_UPDATED: {
+        ...hostMessage,
+        teamName: name,
+        scores: { type: 'array', required: true, maxItems: 1000 },
+        totalScore: { type: 'number' }
+    },
+    SUBMIT_WAGER: {
+        ...playerMessage,
+        amount: { type: 'integer', required: true, min: 0 }
+    },
+    LOCK_WAGERS: hostMessage,
+    RESOLVE_WAGERS: {
+        ...hostMessage,
+        results: { type: 'array', required: true, maxItems: 200 }
+    },
+    DRAFT_ANSWER: {
+        ...playerMessage,
+        text: { type: 'string', maxLength: 200 },
+        choice: { type: 'integer', min: 0 }
+    },
+    LOCK_ANSWER: playerMessage,
+    CLOSE_ANSWERS: hostMessage,
+    MARK_ANSWERS: {
+        ...hostMessage,
+        questionId: id, // defaults to the current question
+        results: { type: 'array', required: true, maxItems: 200 }
+    },
+    UPLOAD_QUESTIONS: {
+        ...hostMessage,
+        questions: { type: 'array', maxItems: 500 },
+        csv: { type: 'string', maxLength: 500000 }
+    },
+    NEXT_QUESTION: {
+        ...hostMessage,
+        questionId: id
+    },
+    REVEAL_QUESTION: hostMessage,
+    REVEAL_ANSWER: hostMessage,
+    START_TIMER: {
+        ...hostMessage,
+        durationMs: { type: 'integer', required: true, min: 1 },
+        scope: { type: 'string', enum: ['round', 'buzz'] },
+        onExpire: { type: 'string', enum: ['clearBuzz', 'closeScoring', 'closeAnswers'] }
+    },
+    PAUSE_TIMER: hostMessage,
+    RESUME_TIMER: hostMessage,
+    CANCEL_TIMER: hostMessage,
+    GET_SCORE_HISTORY: {
+        ...hostMessage,
+        teamName: { ...name, required: false }
+    },
+    UNDO_SCORE_CHANGE: {
+        ...hostMessage,
+        entryId: position
+    },
+    KICK_PLAYER: {
+        ...hostMessage,
+        playerId: { ...id, required: true },
+        block: { type: 'boolean' }
+    },
+    RENAME_TEAM: {
+        ...hostMessage,
+        teamName: name,
+        newName: name
+    },
+    RENAME_PLAYER: {
+        ...hostMessage,
+        playerId: { ...id, required: true },
+        newName: name
+    },
+    MOVE_PLAYER: {
+        ...hostMessage,
+        playerId: { ...id, required: true },
+        teamName: name
+    },
+    SET_TEAM_SIZE: {
+        ...hostMessage,
+        maxTeamSize: { type: 'integer', min: 1, max: 100 }
+    },
+    LOCK_JOINING: {
+        ...hostMessage,
+        locked: { type: 'boolean', required: true }
+    },
+    INVITE_HOST: {
+        ...hostMessage,
+        role: hostRole
+    },
+    JOIN_AS_HOST: {
+        gameCode,
+        inviteToken: sessionToken,
+        name: name
+    },
+    REVOKE_HOST_INVITE: {
+        ...hostMessage,
+        inviteId: { ...id, required: true }
+    },
+    SET_HOST_ROLE: {
+        ...hostMessage,
+        hostId: { ...id, required: true },
+        role: hostRole
+    },
+    REMOVE_HOST: {
+        ...hostMessage,
+        hostId: { ...id, required: true }
+    },
+    REVEAL_FINAL_SCORES: hostMessage, // the server works out the standings itself
+    LEAVE_GAME: playerMessage,
+    PLAYER_DISCONNECT: {},
+    GET_TEAMS: { gameCode },
+    GET_TOURNAMENT: {
+        tournamentId: { ...tournamentId, required: true }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function checkField(field, value, rule) {
+    const actual = typeOf(value);
+    const matches = actual === rule.type || (rule.type === 'number' && actual === 'integer');
+    if (!matches || (rule.type === 'number' && !Number.isFinite(value))) {
+        return `${field} must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`;
+    }
+
+    if (rule.nonBlank && value.trim() === '') return `${field} cannot be blank`;
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `${field} must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return `${field} has invalid characters`;
+    if (rule.enum && !rule.enum.includes(value)) return `${field} must be one of ${rule.enum.join(', ')}`;
+    if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `${field} can have at most ${rule.maxItems} items`;
+    }
+    return null;
+}
+
+// Returns null for a valid message, otherwise { code, field, message }
+function validateMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+        return { code: 'INVALID_MESSAGE', field: 'type', message: 'Message must be an object with a type' };
+    }
+
+    const schema = messageSchemas[message.type];
+    if (!schema) {
+        return { code: 'UNKNOWN_MESSAGE_TYPE', field: 'type', message: 'Unknown message type' };
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = message[field];
+
+        // null counts as "not sent" for optional fields
+        if (value === undefined || (value === null && !rule.required)) {
+            if (rule.required) {
+                return { code: 'VALIDATION_FAILED', field: field, message: `${field} is required` };
+            }
+            continue;
+        }
+
+        const error = checkField(field, value, rule);
+        if (error) {
+            return { code: 'VALIDATION_FAILED', field: field, message: error };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    messageSchemas,
+    validateMessage
+};
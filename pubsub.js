@@ -0,0 +1,152 @@
+// Pub/sub adapters - carry messages between server instances and record which
+// instance owns each game. Both adapters offer:
+//
+//   publish(channel, message)    deliver a JSON-serializable message to every subscriber
+//   subscribe(channel, handler)  handler(message) for everything published on channel
+//   claim(key, owner, ttlMs)     take (or renew) ownership of key; true if owner now holds it
+//   owner(key)                   current owner of key, or null
+//   release(key, owner)          give key up, if owner still holds it
+//   close()
+
+// Single process - every "instance" shares this object, so it also lets several
+// servers in one process talk to each other
+class MemoryPubSub {
+    constructor(now = Date.now) {
+        this.now = now;
+        this.handlers = new Map(); // channel -> [handler]
+        this.owners = new Map(); // key -> { owner, expiresAt }
+    }
+
+    async publish(channel, message) {
+        // Round-trip through JSON so nothing works here that would break over a real broker
+        const payload = JSON.stringify(message);
+        (this.handlers.get(channel) || []).forEach(handler => {
+            setImmediate(() => handler(JSON.parse(payload)));
+        });
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) {
+            this.handlers.set(channel, []);
+        }
+        this.handlers.get(channel).push(handler);
+    }
+
+    async claim(key, owner, ttlMs) {
+        const current = await this.owner(key);
+        if (current && current !== owner) return false;
+
+        this.owners.set(key, { owner: owner, expiresAt: this.now() + ttlMs });
+        return true;
+    }
+
+    async owner(key) {
+        const entry = this.owners.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= this.now()) {
+            this.owners.delete(key);
+            return null;
+        }
+        return entry.owner;
+    }
+
+    async release(key, owner) {
+        if (this.owners.get(key)?.owner === owner) {
+            this.owners.delete(key);
+        }
+    }
+
+    async close() {
+        this.handlers.clear();
+    }
+}
+
+// Redis (or anything speaking its protocol). A subscribed connection can't run
+// other commands, so there is one client for commands and one for subscriptions.
+// createClient(url) is swappable so a local stand-in can replace ioredis.
+class RedisPubSub {
+    constructor(url, createClient = defaultRedisClient, logger = console) {
+        this.commands = createClient(url);
+        this.subscriber = createClient(url);
+        this.handlers = new Map(); // channel -> [handler]
+        this.prefix = 'gameshow:';
+
+        this.subscriber.on('message', (channel, payload) => {
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch (error) {
+                logger.error(`Ignoring malformed pub/sub message on ${channel}`);
+                return;
+            }
+            (this.handlers.get(channel) || []).forEach(handler => handler(message));
+        });
+    }
+
+    async publish(channel, message) {
+        await this.commands.publish(this.prefix + channel, JSON.stringify(message));
+    }
+
+    async subscribe(channel, handler) {
+        const fullChannel = this.prefix + channel;
+        if (!this.handlers.has(fullChannel)) {
+            this.handlers.set(fullChannel, []);
+            await this.subscriber.subscribe(fullChannel);
+        }
+        this.handlers.get(fullChannel).push(handler);
+    }
+
+    async claim(key, owner, ttlMs) {
+        const ownerKey = `${this.prefix}owner:${key}`;
+        if (await this.commands.set(ownerKey, owner, 'PX', ttlMs, 'NX') === 'OK') return true;
+
+        // Already held - renew it if it's ours
+        if (await this.commands.get(ownerKey) !== owner) return false;
+        await this.commands.pexpire(ownerKey, ttlMs);
+        return true;
+    }
+
+    async owner(key) {
+        return this.commands.get(`${this.prefix}owner:${key}`);
+    }
+
+    async release(key, owner) {
+        const ownerKey = `${this.prefix}owner:${key}`;
+        if (await this.commands.get(ownerKey) === owner) {
+            await this.commands.del(ownerKey);
+        }
+    }
+
+    async close() {
+        await Promise.all([this.commands.quit(), this.subscriber.quit()]);
+    }
+}
+
+function defaultRedisClient(url) {
+    // Only needed when running more than one instance
+    const Redis = require('ioredis');
+    return new Redis(url);
+}
+
+function createPubSub(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryPubSub(options.now);
+
+        case 'redis':
+            if (!options.url) {
+                throw new Error('Redis pub/sub needs a url (set REDIS_URL)');
+            }
+            return new RedisPubSub(options.url, options.createClient, options.logger);
+
+        default:
+            throw new Error(`Unknown pub/sub type: ${type}`);
+    }
+}
+
+module.exports = {
+    createPubSub,
+    MemoryPubSub,
+    RedisPubSub
+};
@@ -0,0 +1,164 @@
+// Question packs - uploaded by the host as JSON or CSV.
+//
+// JSON: [{ id, game, round, text, answer, choices, points }] (or { questions: [...] })
+// CSV:  header row with the same column names; choices are separated by "|"
+
+const MAX_QUESTIONS = 500;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_ANSWER_LENGTH = 500;
+const MAX_CHOICES = 10;
+
+// Minimal RFC 4180 parser - quoted fields may contain commas, newlines and "" escapes
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function questionsFromCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    return rows.map(values => {
+        const question = {};
+        columns.forEach((column, i) => {
+            const value = (values[i] || '').trim();
+            if (value === '') return;
+
+            if (column === 'game' || column === 'round' || column === 'points') {
+                question[column] = Number(value);
+            } else if (column === 'choices') {
+                question.choices = value.split('|').map(choice => choice.trim());
+            } else {
+                question[column] = value;
+            }
+        });
+        return question;
+    });
+}
+
+function validateQuestion(question, label, errors) {
+    if (!question || typeof question !== 'object') {
+        errors.push(`${label} must be an object`);
+        return null;
+    }
+
+    if (typeof question.text !== 'string' || !question.text.trim() || question.text.length > MAX_TEXT_LENGTH) {
+        errors.push(`${label} needs text of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+
+    if (typeof question.answer !== 'string' || !question.answer.trim() || question.answer.length > MAX_ANSWER_LENGTH) {
+        errors.push(`${label} needs an answer of at most ${MAX_ANSWER_LENGTH} characters`);
+    }
+
+    if (question.choices !== undefined &&
+        (!Array.isArray(question.choices) ||
+         question.choices.length > MAX_CHOICES ||
+         question.choices.some(choice => typeof choice !== 'string'))) {
+        errors.push(`${label} choices must be a list of at most ${MAX_CHOICES} strings`);
+    }
+
+    ['game', 'round'].forEach(field => {
+        if (question[field] !== undefined && !(Number.isInteger(question[field]) && question[field] > 0)) {
+            errors.push(`${label} ${field} must be a positive whole number`);
+        }
+    });
+
+    if (question.points !== undefined && !(Number.isFinite(question.points) && question.points >= 0)) {
+        errors.push(`${label} points must be a non-negative number`);
+    }
+
+    return {
+        id: question.id !== undefined ? String(question.id) : label.replace(/\s+/g, '-').toLowerCase(),
+        game: question.game,
+        round: question.round,
+        text: question.text,
+        answer: question.answer,
+        choices: question.choices,
+        points: question.points
+    };
+}
+
+// Accepts { questions } or { csv }. Returns { questions, errors }.
+function parseQuestionPack(input) {
+    let source = input.questions;
+    if (typeof input.csv === 'string') {
+        source = questionsFromCsv(input.csv);
+    }
+
+    if (!Array.isArray(source)) {
+        return { questions: [], errors: ['Upload questions as a JSON list or csv text'] };
+    }
+
+    if (source.length === 0 || source.length > MAX_QUESTIONS) {
+        return { questions: [], errors: [`A pack must have between 1 and ${MAX_QUESTIONS} questions`] };
+    }
+
+    const errors = [];
+    const questions = source.map((question, i) => validateQuestion(question, `Question ${i + 1}`, errors));
+
+    const ids = new Set();
+    questions.forEach(question => {
+        if (!question) return;
+        if (ids.has(question.id)) errors.push(`Duplicate question id "${question.id}"`);
+        ids.add(question.id);
+    });
+
+    return { questions: errors.length ? [] : questions, errors: errors };
+}
+
+// What players and spectators may see - the answer only once it's revealed
+function publicQuestion(question, includeAnswer) {
+    return {
+        id: question.id,
+        game: question.game,
+        round: question.round,
+        text: question.text,
+        choices: question.choices,
+        points: question.points,
+        answer: includeAnswer ? question.answer : undefined
+    };
+}
+
+module.exports = {
+    parseQuestionPack,
+    publicQuestion
+};
@@ -0,0 +1,36 @@
+// Token bucket - holds up to `capacity` tokens and refills `refillPerSecond`
+// of them continuously. Each allowed action spends one token.
+// `now` is swappable so tests can drive the bucket with a fake clock.
+class TokenBucket {
+    constructor(capacity, refillPerSecond, now = Date.now) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.now = now;
+        this.tokens = capacity;
+        this.updatedAt = now();
+    }
+
+    refill() {
+        const now = this.now();
+        const elapsed = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    take() {
+        this.refill();
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    // True once the bucket has refilled completely, i.e. nothing to remember
+    isIdle() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
+
+module.exports = {
+    TokenBucket
+};
@@ -0,0 +1,59 @@
+// Host roles - several host-side connections can run one game, each limited
+// to the messages its role allows. The lead host created the game and can do
+// everything, including inviting and removing the others.
+
+const HOST_ROLES = ['lead', 'cohost', 'moderator'];
+const INVITABLE_ROLES = ['cohost', 'moderator'];
+
+// Co-hosts keep score and run the question, buzzer and timer flow
+const COHOST_MESSAGES = [
+    'CLEAR_BUZZERS',
+    'CLEAR_PLAYER_BUZZ',
+    'ARM_BUZZERS',
+    'DISARM_BUZZERS',
+    'MARK_BUZZ_WRONG',
+    'MARK_BUZZ_CORRECT',
+    'ENABLE_SCORING',
+    'CLOSE_SCORING',
+    'SCORE_UPDATED',
+    'GET_SCORE_HISTORY',
+    'UNDO_SCORE_CHANGE',
+    'LOCK_WAGERS',
+    'RESOLVE_WAGERS',
+    'CLOSE_ANSWERS',
+    'MARK_ANSWERS',
+    'NEXT_QUESTION',
+    'REVEAL_QUESTION',
+    'REVEAL_ANSWER',
+    'START_TIMER',
+    'PAUSE_TIMER',
+    'RESUME_TIMER',
+    'CANCEL_TIMER'
+];
+
+// Moderators look after the teams and players
+const MODERATOR_MESSAGES = [
+    'KICK_PLAYER',
+    'RENAME_TEAM',
+    'RENAME_PLAYER',
+    'MOVE_PLAYER',
+    'SET_TEAM_SIZE',
+    'LOCK_JOINING',
+    'MANAGER_CHANGED'
+];
+
+const rolePermissions = {
+    cohost: new Set(COHOST_MESSAGES),
+    moderator: new Set(MODERATOR_MESSAGES)
+};
+
+function hostCan(role, messageType) {
+    if (role === 'lead') return true;
+    return rolePermissions[role]?.has(messageType) || false;
+}
+
+module.exports = {
+    HOST_ROLES,
+    INVITABLE_ROLES,
+    hostCan
+};
@@ -2,738 +2,4403 @@ const WebSocket = require('ws');
 const express = require('express');
 const http = require('http');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
+const { createStorage } = require('./storage');
+const { SessionManager } = require('./sessions');
+const { parseGameFormat, flattenRounds, validateRoundScore, buzzerSettings } = require('./gameFormat');
+const { parseQuestionPack, publicQuestion } = require('./questions');
+const { validateMessage } = require('./protocol');
+const { TokenBucket } = require('./rateLimit');
+const { createPubSub } = require('./pubsub');
+const { hostCan } = require('./roles');
+const { Tournament } = require('./tournaments');
+const { canTransition, phaseAllows } = require('./phases');
+const { computeStandings, tiedForFirst, settleSuddenDeath } = require('./standings');
+const { buildReport, renderReportHtml } = require('./analytics');
 
-const app = express();
-const server = http.createServer(app);
+const oneHour = 60 * 60 * 1000; // 1 hour in milliseconds
+
+// Settings from the environment - createServer({ config }) overrides any of them
+function configFromEnv() {
+    return {
+        storage: process.env.GAME_STORAGE || 'file', // 'file' or 'memory'
+        storageDir: process.env.GAME_STORAGE_DIR || path.join(__dirname, 'data'),
+        sessionSecret: process.env.SESSION_SECRET,
+        sessionTtl: parseInt(process.env.SESSION_TTL_MS, 10) || 12 * oneHour,
+        hostInviteTtl: parseInt(process.env.HOST_INVITE_TTL_MS, 10) || 15 * 60 * 1000, // an unused co-host invite expires after this
+        tournamentTokenTtl: parseInt(process.env.TOURNAMENT_TOKEN_TTL_MS, 10) || 24 * oneHour, // admin-issued, lets a host create games in a tournament
+        hostGracePeriod: parseInt(process.env.HOST_GRACE_PERIOD_MS, 10) || 5 * 60 * 1000,
+        buzzWindow: parseInt(process.env.BUZZ_WINDOW_MS, 10) || 150, // wait this long after a buzz for faster presses still in flight
+        maxBuzzCompensation: parseInt(process.env.BUZZ_MAX_COMPENSATION_MS, 10) || 300,
+        clockSyncSamples: parseInt(process.env.CLOCK_SYNC_SAMPLES, 10) || 5,
+        timerTick: parseInt(process.env.TIMER_TICK_MS, 10) || 1000,
+        adminApiKey: process.env.ADMIN_API_KEY, // admin REST routes are disabled without it
+        maxMessageBytes: parseInt(process.env.WS_MAX_MESSAGE_BYTES, 10) || 1024 * 1024,
+        connectionMessageRate: parseInt(process.env.RATE_LIMIT_CONNECTION_PER_SEC, 10) || 10,
+        connectionMessageBurst: parseInt(process.env.RATE_LIMIT_CONNECTION_BURST, 10) || 30,
+        ipMessageRate: parseInt(process.env.RATE_LIMIT_IP_PER_SEC, 10) || 50,
+        ipMessageBurst: parseInt(process.env.RATE_LIMIT_IP_BURST, 10) || 150,
+        rateLimitStrikes: parseInt(process.env.RATE_LIMIT_STRIKES, 10) || 20, // dropped messages before a kick
+        joinFailureLimit: parseInt(process.env.JOIN_FAILURE_LIMIT, 10) || 10, // unknown game codes per IP...
+        joinFailureWindow: parseInt(process.env.JOIN_FAILURE_WINDOW_MS, 10) || 60 * 1000, // ...per this window
+        banDuration: parseInt(process.env.BAN_DURATION_MS, 10) || 10 * 60 * 1000,
+        // Proxies in front of the server ('true' means one) - client IPs come from X-Forwarded-For, counting from the right
+        trustProxy: process.env.TRUST_PROXY === 'true' ? 1 : parseInt(process.env.TRUST_PROXY, 10) || 0,
+        heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 30 * 1000, // a socket that misses one ping is dropped
+        managerHandoverDelay: parseInt(process.env.MANAGER_HANDOVER_MS, 10) || 2 * 60 * 1000, // offline this long and the team gets a new manager
+        // Running several instances needs PUBSUB=redis, a shared REDIS_URL and the same SESSION_SECRET everywhere
+        pubsub: process.env.PUBSUB || 'memory', // 'memory' or 'redis'
+        redisUrl: process.env.REDIS_URL,
+        instanceId: process.env.INSTANCE_ID || crypto.randomUUID(),
+        ownershipTtl: parseInt(process.env.GAME_OWNERSHIP_TTL_MS, 10) || 60 * 1000, // renewed while the owner is alive
+        eventBufferSize: parseInt(process.env.EVENT_BUFFER_SIZE, 10) || 200 // events kept per game for replay on rejoin
+    };
+}
+
+// Real time. Tests pass their own object with the same five methods to control time.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: handle => clearTimeout(handle),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: handle => clearInterval(handle)
+};
+
+function randomGameCode() {
+    return Math.floor(100000 + Math.random() * 900000).toString();
+}
+
+// Answer sheets are kept per question within a round; a round without a question pack has just one
+function answerSheetKey(roundIndex, questionId) {
+    return `${roundIndex}:${questionId ?? ''}`;
+}
+
+// One { teamName, correct } entry of the results the host sends to mark wagers or answers
+function isMarkResult(result) {
+    return typeof result === 'object' && result !== null &&
+        typeof result.teamName === 'string' && typeof result.correct === 'boolean';
+}
+
+// Builds a complete server - HTTP routes, WebSocket handling and every game -
+// without binding a port or starting timers until listen() is called. Options:
+//
+//   config              overrides for configFromEnv()
+//   clock               { now, setTimeout, clearTimeout, setInterval, clearInterval }
+//   storage             game snapshot storage (default from config.storage)
+//   tournamentStorage   tournament storage (default from config.storage)
+//   pubsub              shared pub/sub adapter, e.g. one MemoryPubSub for several servers
+//   generateGameCode    () => code for games created without one
+//   logger              { log, warn, error } (default console)
+function createServer(options = {}) {
+    const config = { ...configFromEnv(), ...options.config };
+    const clock = options.clock || systemClock;
+    const logger = options.logger || console;
+    const generateGameCode = options.generateGameCode || randomGameCode;
+
+    if (!config.sessionSecret) {
+        // Tokens signed with a random secret stop verifying after a restart
+        logger.warn('SESSION_SECRET not set - using a random secret, sessions will not survive a restart');
+        config.sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+
+    const app = express();
+    const server = http.createServer(app);
+
+    // Enable CORS for all routes
+    app.use(cors({
+        origin: true,
+        credentials: true
+    }));
+
+    app.use(express.json());
+    app.use(express.static('public'));
+
+    // WebSocket Server
+    const wss = new WebSocket.Server({
+        server,
+        maxPayload: config.maxMessageBytes
+    });
+
+    // Game State Management
+    const games = new Map(); // gameCode -> gameState
+    const connections = new Map(); // ws -> connectionInfo
+    const hostCleanupTimers = new Map(); // gameCode -> timeout pending while the host is away
+    const buzzWindows = new Map(); // gameCode -> timeout collecting near-simultaneous buzzes
+    const countdowns = new Map(); // gameCode -> { tick, expiry } handles for the running timer
+    const managerHandovers = new Map(); // gameCode -> Map(playerId -> timeout) for managers who went offline
+    const tournaments = new Map(); // tournamentId -> Tournament, kept for good - unlike games they never expire
+    const unclaimedGames = new Set(); // codes of saved games another instance held at startup
+
+    // Abuse protection - tracked for every open socket, joined to a game or not
+    const sockets = new Map(); // ws -> { id, ip, connectedAt, limiter, strikes, isAlive, route, queue }
+    const socketsById = new Map(); // socket id -> ws, for messages routed back from other instances
+    const ipLimiters = new Map(); // ip -> TokenBucket shared by every socket from that address
+    const joinFailures = new Map(); // ip -> TokenBucket of attempts to join unknown games
+    const bans = new Map(); // ip -> ban expiry timestamp
+    let nextSocketId = 1;
+    const storage = options.storage || createStorage(config.storage, { directory: config.storageDir, logger: logger });
+    const tournamentStorage = options.tournamentStorage ||
+        createStorage(config.storage, { directory: path.join(config.storageDir, 'tournaments'), logger: logger });
+    const sessions = new SessionManager(config.sessionSecret, config.sessionTtl, () => clock.now());
+    const pubsub = options.pubsub || createPubSub(config.pubsub, { url: config.redisUrl, now: () => clock.now(), logger: logger });
+
+    class GameState {
+        constructor(gameCode, hostId) {
+            this.gameCode = gameCode;
+            this.hostId = hostId;
+            this.cohosts = new Map(); // hostId -> { name, role, addedAt } for invited co-hosts and moderators
+            this.hostInvites = new Map(); // inviteId -> { role, createdAt } for invites not yet used or revoked
+            this.currentGame = 1;
+            this.currentRound = 1;
+            this.format = null; // validated game format, set on GAME_STARTED
+            this.teams = new Map();
+            this.players = new Map();
+            this.buzzedPlayers = [];
+            this.pendingBuzzes = []; // received during the buzz window, not yet ranked
+            this.buzzOpenedAt = null;
+            this.buzzersArmed = true; // rounds with manual arming start disarmed
+            this.buzzLockouts = {}; // playerId -> time an early-buzz lockout ends
+            this.wrongTeams = []; // teams marked wrong on the current question
+            this.phase = 'lobby'; // see phases.js; gameStarted, scoringEnabled and gameEnded derive from it
+            this.scoreLog = []; // append-only history of every score change
+            this.timeline = []; // everything worth reporting on after the show, see analytics.js
+            this.wagers = null; // wager state for the current wager round
+            this.answerSheets = {}; // answerSheetKey -> answer sheet, one per question of host-scored written rounds
+            this.questions = []; // uploaded question pack, answers included
+            this.currentQuestionIndex = -1;
+            this.questionRevealed = false;
+            this.answerRevealed = false;
+            this.timer = null; // countdown attached to the current round or buzz
+            this.blockedPlayers = []; // [{ playerId, ips }] kicked with block - neither may join again
+            this.maxTeamSize = null;
+            this.joinLocked = false;
+            this.tournamentId = null; // results are copied into this tournament when the game ends
+            this.suddenDeath = null; // { contenders, winner } once a tie for first goes to sudden death
+
+            // Outgoing events, numbered for replay. Not persisted - the epoch changes
+            // whenever the game is (re)loaded, which tells clients to take a snapshot.
+            this.eventEpoch = crypto.randomUUID();
+            this.eventSeq = 0;
+            this.eventLog = []; // [{ seq, audience, event }], at most config.eventBufferSize
+            this.createdAt = clock.now();
+        }
+
+        // Serializable snapshot - connections are runtime-only and never stored
+        toJSON() {
+            return {
+                gameCode: this.gameCode,
+                hostId: this.hostId,
+                currentGame: this.currentGame,
+                currentRound: this.currentRound,
+                format: this.format,
+                teams: Array.from(this.teams.values()),
+                players: Array.from(this.players.entries()),
+                buzzedPlayers: this.buzzedPlayers,
+                buzzOpenedAt: this.buzzOpenedAt,
+                buzzersArmed: this.buzzersArmed,
+                buzzLockouts: this.buzzLockouts,
+                wrongTeams: this.wrongTeams,
+                phase: this.phase,
+                scoreLog: this.scoreLog,
+                timeline: this.timeline,
+                wagers: this.wagers,
+                answerSheets: this.answerSheets,
+                questions: this.questions,
+                currentQuestionIndex: this.currentQuestionIndex,
+                questionRevealed: this.questionRevealed,
+                answerRevealed: this.answerRevealed,
+                timer: this.timer,
+                blockedPlayers: this.blockedPlayers,
+                maxTeamSize: this.maxTeamSize,
+                joinLocked: this.joinLocked,
+                cohosts: Array.from(this.cohosts.entries()),
+                hostInvites: Array.from(this.hostInvites.entries()),
+                tournamentId: this.tournamentId,
+                suddenDeath: this.suddenDeath,
+                createdAt: this.createdAt
+            };
+        }
+
+        static fromJSON(data) {
+            const game = new GameState(data.gameCode, data.hostId);
+            game.currentGame = data.currentGame;
+            game.currentRound = data.currentRound;
+            game.format = data.format;
+            game.teams = new Map(data.teams.map(team => [team.name, team]));
+            // No socket survives a restart, so everyone starts offline
+            game.players = new Map(data.players.map(([playerId, player]) => [playerId, { ...player, online: false }]));
+            game.buzzedPlayers = data.buzzedPlayers;
+            game.buzzOpenedAt = data.buzzOpenedAt;
+            game.buzzersArmed = data.buzzersArmed ?? true;
+            game.buzzLockouts = data.buzzLockouts || {};
+            game.wrongTeams = data.wrongTeams || [];
+            game.phase = data.phase || GameState.legacyPhase(data);
+            game.scoreLog = data.scoreLog || [];
+            game.timeline = data.timeline || [];
+            game.wagers = data.wagers || null;
+            game.answerSheets = data.answerSheets ||
+                (data.answers ? { [answerSheetKey(data.answers.roundIndex, data.answers.questionId)]: data.answers } : {});
+            game.questions = data.questions || [];
+            game.currentQuestionIndex = data.currentQuestionIndex ?? -1;
+            game.questionRevealed = data.questionRevealed || false;
+            game.answerRevealed = data.answerRevealed || false;
+            game.timer = data.timer || null;
+            game.blockedPlayers = data.blockedPlayers || [];
+            game.maxTeamSize = data.maxTeamSize ?? null;
+            game.joinLocked = data.joinLocked || false;
+            game.cohosts = new Map(data.cohosts || []);
+            game.hostInvites = new Map(data.hostInvites || []);
+            game.tournamentId = data.tournamentId || null;
+            game.suddenDeath = data.suddenDeath || null;
+            game.createdAt = data.createdAt;
+            return game;
+        }
+
+        // Snapshots from before phases existed only had the booleans
+        static legacyPhase(data) {
+            if (data.gameEnded) return 'finished';
+            if (data.scoringEnabled) return 'scoring';
+            if (data.gameStarted) return data.buzzersArmed === false ? 'in-round' : 'buzz-open';
+            return 'lobby';
+        }
+
+        get gameStarted() {
+            return this.phase !== 'lobby';
+        }
+
+        get scoringEnabled() {
+            return this.phase === 'scoring';
+        }
+
+        get gameEnded() {
+            return this.phase === 'finished';
+        }
+
+        // Throws on a transition phases.js doesn't allow - handlers are gated by
+        // phase, so reaching one is a bug rather than a client mistake
+        setPhase(phase) {
+            if (phase === this.phase) return;
+            if (!canTransition(this.phase, phase)) {
+                throw new Error(`Game ${this.gameCode} cannot go from ${this.phase} to ${phase}`);
+            }
+            this.phase = phase;
+        }
+
+        // Adds to the analytics timeline; the caller saves the game
+        addToTimeline(type, fields = {}) {
+            this.timeline.push({ at: clock.now(), type: type, ...fields });
+        }
+
+        // The phase while a round is being played, which depends on the buzzers
+        roundPhase() {
+            return this.buzzersArmed ? 'buzz-open' : 'in-round';
+        }
+
+        addPlayer(playerId, playerData) {
+            this.players.set(playerId, playerData);
+
+            // Add to team
+            if (!this.teams.has(playerData.teamName)) {
+                this.teams.set(playerData.teamName, {
+                    name: playerData.teamName,
+                    members: [],
+                    totalScore: 0,
+                    roundScores: [],
+                    wrongBuzzes: 0, // buzzes marked wrong, for the fewestWrongBuzzes tie-breaker
+                    manager: null
+                });
+            }
+
+            const team = this.teams.get(playerData.teamName);
+
+            // Check if player already in team (rejoin case)
+            const existingMember = team.members.find(m => m.playerId === playerId);
+            if (!existingMember) {
+                team.members.push({
+                    playerId: playerId,
+                    name: playerData.name,
+                    isManager: false
+                });
+            }
+
+            // A joiner only manages a team nobody manages yet - asking to be manager
+            // never takes the role from someone else (the host hands it over)
+            if (!team.manager) {
+                team.manager = playerId;
+                team.members.forEach(member => {
+                    member.isManager = member.playerId === playerId;
+                });
+            }
+        }
+
+        removePlayer(playerId) {
+            const player = this.players.get(playerId);
+            if (player && this.teams.has(player.teamName)) {
+                const team = this.teams.get(player.teamName);
+                team.members = team.members.filter(m => m.playerId !== playerId);
+
+                // If manager left, assign new manager
+                if (team.manager === playerId && team.members.length > 0) {
+                    team.manager = team.members[0].playerId;
+                    team.members[0].isManager = true;
+                }
+
+                // An empty team goes, unless it has scored - moving or kicking the last
+                // member mustn't wipe points off the scoreboard
+                if (team.members.length === 0) {
+                    team.manager = null;
+                    if (team.roundScores.every(score => score === null || score === undefined)) {
+                        this.teams.delete(player.teamName);
+                    }
+                }
+            }
+
+            this.players.delete(playerId);
+            this.dropBuzz(playerId);
+        }
+
+        // Moves a player to another (possibly new) team. Manager rules are the same
+        // as leaving one team and joining the other: the old team hands over, and
+        // the player only manages the new team if it has nobody else.
+        movePlayer(playerId, teamName) {
+            const player = this.players.get(playerId);
+            this.removePlayer(playerId);
+            this.addPlayer(playerId, {
+                ...player,
+                teamName: teamName
+            });
+        }
+
+        renamePlayer(playerId, name) {
+            const player = this.players.get(playerId);
+            player.name = name;
+
+            const member = this.teams.get(player.teamName)?.members.find(m => m.playerId === playerId);
+            if (member) member.name = name;
+
+            this.buzzedPlayers.concat(this.pendingBuzzes).forEach(buzz => {
+                if (buzz.playerId === playerId) buzz.playerName = name;
+            });
+        }
+
+        renameTeam(oldName, newName) {
+            const team = this.teams.get(oldName);
+            team.name = newName;
+
+            // Rebuild the map so the team keeps its place in the order
+            this.teams = new Map(Array.from(this.teams, ([name, t]) => [name === oldName ? newName : name, t]));
+
+            this.players.forEach(player => {
+                if (player.teamName === oldName) player.teamName = newName;
+            });
+            this.buzzedPlayers.concat(this.pendingBuzzes).forEach(buzz => {
+                if (buzz.teamName === oldName) buzz.teamName = newName;
+            });
+
+            // Score history follows the team so it can still be filtered and undone
+            this.scoreLog.forEach(entry => {
+                if (entry.teamName === oldName) entry.teamName = newName;
+            });
+            this.timeline.forEach(event => {
+                if (event.teamName === oldName) event.teamName = newName;
+            });
+
+            Object.values(this.answerSheets).forEach(answers => {
+                if (answers.entries[oldName]) {
+                    answers.entries[newName] = answers.entries[oldName];
+                    delete answers.entries[oldName];
+                }
+            });
+
+            if (this.wagers?.entries[oldName]) {
+                this.wagers.entries[newName] = this.wagers.entries[oldName];
+                delete this.wagers.entries[oldName];
+            }
+
+            if (this.suddenDeath) {
+                this.suddenDeath.contenders = this.suddenDeath.contenders.map(name => name === oldName ? newName : name);
+                if (this.suddenDeath.winner === oldName) this.suddenDeath.winner = newName;
+            }
+        }
+
+        // 'lead' for the host who created the game, the invited role for co-hosts,
+        // null for anyone else (including removed co-hosts)
+        getHostRole(hostId) {
+            if (hostId === this.hostId) return 'lead';
+            return this.cohosts.get(hostId)?.role || null;
+        }
+
+        // Outstanding invites, expired ones dropped
+        getHostInvites() {
+            this.hostInvites.forEach((invite, inviteId) => {
+                if (clock.now() - invite.createdAt > config.hostInviteTtl) this.hostInvites.delete(inviteId);
+            });
+            return Array.from(this.hostInvites, ([inviteId, invite]) => ({ inviteId: inviteId, ...invite }));
+        }
+
+        getHosts() {
+            const hosts = [{ hostId: this.hostId, name: 'Lead host', role: 'lead' }];
+            this.cohosts.forEach((cohost, hostId) => {
+                hosts.push({ hostId: hostId, name: cohost.name, role: cohost.role });
+            });
+            return hosts;
+        }
+
+        recordEvent(audience, message) {
+            const event = { ...message, seq: ++this.eventSeq };
+            this.eventLog.push({ seq: event.seq, audience: audience, event: event });
+            if (this.eventLog.length > config.eventBufferSize) {
+                this.eventLog.shift();
+            }
+            return event;
+        }
+
+        // Events after lastSeq that recipient would have received, or null when they
+        // can't all be replayed (another epoch, or older than the buffer)
+        getMissedEvents(lastSeq, eventEpoch, recipient) {
+            if (eventEpoch !== this.eventEpoch || !Number.isInteger(lastSeq) || lastSeq > this.eventSeq) return null;
+
+            const oldest = this.eventLog.length ? this.eventLog[0].seq : this.eventSeq + 1;
+            if (lastSeq < oldest - 1) return null;
+
+            return this.eventLog
+                .filter(entry => entry.seq > lastSeq && audienceIncludes(entry.audience, recipient))
+                .map(entry => entry.event);
+        }
+
+        // ip is left out for rejoins - other players at the venue share its address
+        isBlocked(playerId, ip = null) {
+            return this.blockedPlayers.some(blocked => blocked.playerId === playerId || (ip && blocked.ips.includes(ip)));
+        }
+
+        isTeamFull(teamName) {
+            const team = this.teams.get(teamName);
+            return Boolean(team && this.maxTeamSize !== null && team.members.length >= this.maxTeamSize);
+        }
+
+        dropBuzz(playerId) {
+            this.buzzedPlayers = this.buzzedPlayers.filter(b => b.playerId !== playerId);
+            this.pendingBuzzes = this.pendingBuzzes.filter(b => b.playerId !== playerId);
+        }
+
+        // Sudden death is first buzz only, and a team that answers wrong is out
+        getBuzzerSettings() {
+            if (this.phase === 'sudden-death') {
+                return { ...buzzerSettings(null), mode: 'single', lockoutWrongTeams: true };
+            }
+            return buzzerSettings(this.getCurrentRound());
+        }
+
+        // Buzzers reopen for everyone; reaction times are measured from here.
+        // Rounds with manual arming wait for the host instead.
+        openBuzzers() {
+            this.buzzedPlayers = [];
+            this.pendingBuzzes = [];
+            this.buzzOpenedAt = clock.now();
+            this.buzzersArmed = this.getBuzzerSettings().arming === 'auto';
+        }
+
+        // A new round or question - wrong-answer lockouts end and the buzzers arm
+        // per the round's settings. Queued buzzes are left for the host to clear.
+        resetBuzzIn() {
+            this.buzzOpenedAt = clock.now();
+            this.buzzersArmed = this.getBuzzerSettings().arming === 'auto';
+            this.wrongTeams = [];
+        }
+
+        armBuzzers(armed) {
+            this.buzzersArmed = armed;
+            if (armed) {
+                this.buzzOpenedAt = clock.now();
+            }
+        }
+
+        // pressTime is the server-clock time the button was pressed, after latency compensation.
+        // Returns null if the buzz counts, otherwise a code from BUZZ_REJECTIONS.
+        handleBuzz(playerId, pressTime = clock.now()) {
+            const player = this.players.get(playerId);
+            if (!player || !this.gameStarted) return 'NOT_STARTED';
+            if (this.phase === 'sudden-death' && !this.suddenDeath.contenders.includes(player.teamName)) {
+                return 'NOT_CONTENDING';
+            }
+
+            const settings = this.getBuzzerSettings();
+            const now = clock.now();
+
+            if (this.buzzLockouts[playerId] > now) return 'LOCKED_OUT';
+            delete this.buzzLockouts[playerId];
+
+            // Latency compensation can put the press before the buzzers opened, which
+            // makes it early even though the message arrived after arming
+            const early = !this.buzzersArmed || (this.buzzOpenedAt !== null && pressTime < this.buzzOpenedAt);
+            if (early) {
+                if (settings.earlyBuzzPenaltyMs > 0) {
+                    this.buzzLockouts[playerId] = now + settings.earlyBuzzPenaltyMs;
+                    return 'EARLY_BUZZ';
+                }
+                return 'NOT_ARMED';
+            }
+
+            if (this.wrongTeams.includes(player.teamName)) return 'ANSWERED_WRONG';
+
+            // Check if player or teammate already buzzed
+            const teamHasBuzzed = this.buzzedPlayers.concat(this.pendingBuzzes).some(b => {
+                const buzzedPlayer = this.players.get(b.playerId);
+                return buzzedPlayer && buzzedPlayer.teamName === player.teamName;
+            });
+
+            if (teamHasBuzzed) return 'TEAM_BUZZED';
+
+            // Single mode still collects the buzz window so the earliest press wins
+            if (settings.mode === 'single' && this.buzzedPlayers.length > 0) return 'BUZZ_TAKEN';
+
+            const buzzData = {
+                playerId: playerId,
+                playerName: player.name,
+                teamName: player.teamName,
+                timestamp: pressTime,
+                reactionTime: this.buzzOpenedAt === null ? null : Math.max(0, pressTime - this.buzzOpenedAt),
+                questionId: this.getCurrentQuestion()?.id ?? null
+            };
+
+            this.pendingBuzzes.push(buzzData);
+            return null;
+        }
+
+        // Ranks the buzzes collected during the window by press time and queues them.
+        // In single mode only the winner is queued and the rest are beaten.
+        // Returns { queued, beaten }, each in press order.
+        closeBuzzWindow() {
+            const ranked = this.pendingBuzzes.sort((a, b) => a.timestamp - b.timestamp);
+            this.pendingBuzzes = [];
+
+            let beaten = [];
+            if (this.getBuzzerSettings().mode === 'single') {
+                const winners = this.buzzedPlayers.length ? 0 : 1;
+                beaten = ranked.splice(winners);
+            }
+            this.buzzedPlayers.push(...ranked);
+            return { queued: ranked, beaten: beaten };
+        }
+
+        // Round definition from the format, or null if that position doesn't exist
+        getRound(gameNum, round) {
+            return this.format?.games[gameNum - 1]?.rounds[round - 1] || null;
+        }
+
+        getCurrentRound() {
+            return this.getRound(this.currentGame, this.currentRound);
+        }
+
+        // Flat index into team.roundScores for a game/round position
+        getRoundIndex(gameNum, round) {
+            let roundIndex = 0;
+            for (let g = 1; g < gameNum; g++) {
+                roundIndex += this.format.games[g - 1].rounds.length;
+            }
+            return roundIndex + (round - 1);
+        }
+
+        getRoundByIndex(roundIndex) {
+            return this.format ? flattenRounds(this.format)[roundIndex] || null : null;
+        }
+
+        // Sets one round score, recomputes the total and records the change.
+        // changedBy is { role, id }. Returns the log entry, or null if nothing changed.
+        setRoundScore(teamName, roundIndex, score, changedBy, undoOf = null) {
+            const team = this.teams.get(teamName);
+            const oldValue = team.roundScores[roundIndex] ?? null;
+            if (oldValue === score) return null;
+
+            team.roundScores[roundIndex] = score;
+            team.totalScore = team.roundScores.reduce((sum, s) => sum + (s || 0), 0);
+
+            const entry = {
+                id: this.scoreLog.length + 1,
+                teamName: teamName,
+                roundIndex: roundIndex,
+                oldValue: oldValue,
+                newValue: score,
+                changedBy: changedBy,
+                undoOf: undoOf,
+                questionId: this.getCurrentQuestion()?.id ?? null,
+                timestamp: clock.now()
+            };
+            this.scoreLog.push(entry);
+            this.addToTimeline('score', { teamName: teamName, roundIndex: roundIndex, oldValue: oldValue, newValue: score });
+            return entry;
+        }
+
+        // Reverts a logged change by appending its inverse. Returns the new entry,
+        // or an error string if the change can't be undone cleanly.
+        undoScoreChange(entryId, changedBy) {
+            const entry = this.scoreLog.find(e => e.id === entryId);
+            if (!entry) return 'Score change not found';
+
+            if (this.scoreLog.some(e => e.undoOf === entryId)) {
+                return 'Score change already undone';
+            }
+
+            const team = this.teams.get(entry.teamName);
+            if (!team || (team.roundScores[entry.roundIndex] ?? null) !== entry.newValue) {
+                return 'Score has changed since - undo the later change first';
+            }
+
+            return this.setRoundScore(entry.teamName, entry.roundIndex, entry.oldValue, changedBy, entryId);
+        }
+
+        getCurrentQuestion() {
+            return this.questions[this.currentQuestionIndex] || null;
+        }
+
+        // The current question as players may see it, or null before it's revealed
+        getRevealedQuestion() {
+            const question = this.getCurrentQuestion();
+            if (!question || !this.questionRevealed) return null;
+            return publicQuestion(question, this.answerRevealed);
+        }
+
+        // Remaining time is derived from endsAt while the timer runs
+        getTimerView() {
+            if (!this.timer) return null;
+
+            return {
+                scope: this.timer.scope,
+                playerId: this.timer.playerId,
+                durationMs: this.timer.durationMs,
+                remainingMs: this.timer.paused ?
+                    this.timer.remainingMs :
+                    Math.max(0, this.timer.endsAt - clock.now()),
+                paused: this.timer.paused,
+                onExpire: this.timer.onExpire
+            };
+        }
+
+        // Wager state for the current round, started fresh when a new wager round begins
+        getCurrentWagers() {
+            const roundIndex = this.getRoundIndex(this.currentGame, this.currentRound);
+            if (!this.wagers || this.wagers.roundIndex !== roundIndex) {
+                this.wagers = {
+                    roundIndex: roundIndex,
+                    locked: false,
+                    resolved: false,
+                    entries: {} // teamName -> { amount, submittedBy, submittedAt }
+                };
+            }
+            return this.wagers;
+        }
+
+        // Returns an error string, or null once the wager is recorded
+        submitWager(teamName, amount, playerId) {
+            const wagers = this.getCurrentWagers();
+            if (wagers.locked) return 'Wagers are already locked in';
+
+            const maxWager = Math.max(0, this.teams.get(teamName).totalScore);
+            if (!Number.isInteger(amount) || amount < 0 || amount > maxWager) {
+                return `Wager must be a whole number between 0 and ${maxWager}`;
+            }
+
+            wagers.entries[teamName] = {
+                amount: amount,
+                submittedBy: playerId,
+                submittedAt: clock.now()
+            };
+            return null;
+        }
+
+        lockWagers() {
+            const wagers = this.getCurrentWagers();
+            if (wagers.locked) return 'Wagers are already locked in';
+
+            // Totals may have been corrected since the wager was placed
+            Object.entries(wagers.entries).forEach(([teamName, entry]) => {
+                const team = this.teams.get(teamName);
+                entry.amount = team ? Math.min(entry.amount, Math.max(0, team.totalScore)) : 0;
+            });
+            wagers.locked = true;
+            return null;
+        }
+
+        // results is [{ teamName, correct }] covering every team that wagered.
+        // Returns an error string, or the applied results.
+        resolveWagers(results, changedBy) {
+            const wagers = this.getCurrentWagers();
+            if (!wagers.locked) return 'Lock in wagers before resolving them';
+            if (wagers.resolved) return 'Wagers have already been resolved';
+            if (!results.every(isMarkResult)) return 'Results must be a list of { teamName, correct }';
+
+            const marks = new Map(results.map(result => [result.teamName, result.correct]));
+            const unmarked = Object.keys(wagers.entries).filter(teamName => this.teams.has(teamName) && !marks.has(teamName));
+            if (unmarked.length) return `Mark every team that wagered: ${unmarked.join(', ')}`;
+
+            const applied = [];
+            Object.entries(wagers.entries).forEach(([teamName, entry]) => {
+                if (!this.teams.has(teamName)) return;
+
+                const correct = marks.get(teamName);
+                const change = correct ? entry.amount : -entry.amount;
+                this.setRoundScore(teamName, wagers.roundIndex, change, changedBy);
+                applied.push({
+                    teamName: teamName,
+                    wager: entry.amount,
+                    correct: correct,
+                    change: change,
+                    totalScore: this.teams.get(teamName).totalScore
+                });
+            });
+
+            wagers.resolved = true;
+            return applied;
+        }
+
+        // Amounts stay secret until the host locks wagers in
+        getWagerView(includeAmounts) {
+            if (!this.wagers) return null;
+
+            return {
+                roundIndex: this.wagers.roundIndex,
+                locked: this.wagers.locked,
+                resolved: this.wagers.resolved,
+                teams: Object.entries(this.wagers.entries).map(([teamName, entry]) => ({
+                    teamName: teamName,
+                    amount: includeAmounts ? entry.amount : undefined
+                }))
+            };
+        }
+
+        // Written rounds scored by the host take answers from the teams instead of scores
+        isAnswerRound() {
+            const round = this.getCurrentRound();
+            return round?.type === 'written' && round.scoring === 'host';
+        }
+
+        // The sheet for a question of the current round (the current question by
+        // default), or null if nobody has answered it yet
+        getAnswerSheet(questionId = this.getCurrentQuestion()?.id ?? null) {
+            const roundIndex = this.getRoundIndex(this.currentGame, this.currentRound);
+            return this.answerSheets[answerSheetKey(roundIndex, questionId)] || null;
+        }
+
+        // Sheets are kept per question, so a round's answers can be marked together at the end
+        getCurrentAnswers() {
+            const roundIndex = this.getRoundIndex(this.currentGame, this.currentRound);
+            const questionId = this.getCurrentQuestion()?.id ?? null;
+            const key = answerSheetKey(roundIndex, questionId);
+            if (!this.answerSheets[key]) {
+                this.answerSheets[key] = {
+                    roundIndex: roundIndex,
+                    questionId: questionId,
+                    closed: false,
+                    entries: {} // teamName -> { text, choice, draftedBy, draftedAt, lockedBy, lockedAt, correct, awarded }
+                };
+            }
+            return this.answerSheets[key];
+        }
+
+        // Any team member can draft; answer is { text }, or { choice } when the
+        // question is multiple choice. Returns an error string, or null once saved.
+        draftAnswer(teamName, answer, playerId) {
+            const answers = this.getCurrentAnswers();
+            if (answers.closed) return 'Answers are closed';
+            if (answers.entries[teamName]?.lockedBy) return 'Your team has already locked in an answer';
+
+            const choices = this.getCurrentQuestion()?.choices;
+            let text = answer.text;
+            let choice = null;
+            if (choices?.length) {
+                if (!Number.isInteger(answer.choice) || choices[answer.choice] === undefined) {
+                    return `Pick one of the ${choices.length} choices`;
+                }
+                choice = answer.choice;
+                text = choices[choice];
+            } else if (typeof text !== 'string' || !text.trim()) {
+                return 'Answer cannot be blank';
+            }
+
+            answers.entries[teamName] = {
+                text: text.trim(),
+                choice: choice,
+                draftedBy: playerId,
+                draftedAt: clock.now(),
+                lockedBy: null,
+                lockedAt: null,
+                correct: null,
+                awarded: 0
+            };
+            return null;
+        }
+
+        lockAnswer(teamName, playerId) {
+            const answers = this.getCurrentAnswers();
+            if (answers.closed) return 'Answers are closed';
+
+            const entry = answers.entries[teamName];
+            if (!entry) return 'Draft an answer before locking it in';
+            if (entry.lockedBy) return 'Your team has already locked in an answer';
+
+            entry.lockedBy = playerId;
+            entry.lockedAt = clock.now();
+            return null;
+        }
+
+        // Drafts that weren't locked in by the deadline don't count
+        closeAnswers() {
+            const answers = this.getCurrentAnswers();
+            if (answers.closed) return 'Answers are already closed';
+
+            Object.entries(answers.entries).forEach(([teamName, entry]) => {
+                if (!entry.lockedBy) delete answers.entries[teamName];
+            });
+            answers.closed = true;
+            return null;
+        }
+
+        // results is [{ teamName, correct }] for some or all locked answers to a
+        // question of the current round (the current question if questionId is
+        // undefined). Marking again corrects a mistake - only the difference in
+        // points is applied. Returns an error string, or the applied results.
+        markAnswers(results, changedBy, questionId) {
+            const answers = this.getAnswerSheet(questionId);
+            if (!answers) return 'No answers for that question';
+            if (!answers.closed) return 'Close answers before marking them';
+            if (!results.every(isMarkResult)) return 'Results must be a list of { teamName, correct }';
+
+            const unanswered = results.filter(result => !answers.entries[result.teamName] || !this.teams.has(result.teamName));
+            if (unanswered.length) return `No locked answer from ${unanswered.map(result => result.teamName).join(', ')}`;
+
+            const round = this.getRoundByIndex(answers.roundIndex);
+            const question = this.questions.find(q => q.id === answers.questionId);
+            const points = question?.points ?? round.points;
+
+            return results.map(result => {
+                const entry = answers.entries[result.teamName];
+                const team = this.teams.get(result.teamName);
+                const award = result.correct ? points : 0;
+
+                if (award !== entry.awarded) {
+                    const current = team.roundScores[answers.roundIndex] || 0;
+                    this.setRoundScore(team.name, answers.roundIndex, current + award - entry.awarded, changedBy);
+                    entry.awarded = award;
+                }
+                entry.correct = result.correct;
+
+                return {
+                    teamName: team.name,
+                    answer: entry.text,
+                    correct: entry.correct,
+                    points: award,
+                    totalScore: team.totalScore
+                };
+            });
+        }
+
+        // Answers stay with the team and host; everyone else only sees who has locked in
+        getAnswerView(includeAnswers, answers = this.getAnswerSheet()) {
+            if (!answers) return null;
+
+            const expected = this.questions.find(q => q.id === answers.questionId)?.answer;
+            return {
+                roundIndex: answers.roundIndex,
+                questionId: answers.questionId,
+                closed: answers.closed,
+                teams: Object.entries(answers.entries).map(([teamName, entry]) => {
+                    const visible = includeAnswers && entry.lockedBy !== null;
+                    return {
+                        teamName: teamName,
+                        locked: entry.lockedBy !== null,
+                        answer: visible ? entry.text : undefined,
+                        choice: visible ? entry.choice : undefined,
+                        // A hint for the host when the pack has an answer - the host still decides
+                        matchesAnswer: visible && typeof expected === 'string' ?
+                            entry.text.trim().toLowerCase() === expected.trim().toLowerCase() : undefined,
+                        correct: entry.correct
+                    };
+                })
+            };
+        }
+
+        // The host's side-by-side view of every question answered this round
+        getRoundAnswerViews() {
+            const roundIndex = this.getRoundIndex(this.currentGame, this.currentRound);
+            return Object.values(this.answerSheets)
+                .filter(answers => answers.roundIndex === roundIndex)
+                .map(answers => this.getAnswerView(true, answers));
+        }
+
+        // Everything a reattaching host needs to rebuild its view of the game
+        getHostSnapshot() {
+            const players = [];
+            this.players.forEach((player, playerId) => {
+                players.push({ playerId: playerId, ...player });
+            });
+
+            return {
+                phase: this.phase,
+                gameStarted: this.gameStarted,
+                gameEnded: this.gameEnded,
+                scoringEnabled: this.scoringEnabled,
+                currentGame: this.currentGame,
+                currentRound: this.currentRound,
+                format: this.format,
+                teams: this.getTeamsData(),
+                players: players,
+                buzzedPlayers: this.buzzedPlayers,
+                buzzersArmed: this.buzzersArmed,
+                wrongTeams: this.wrongTeams,
+                wagers: this.getWagerView(this.wagers?.locked),
+                answers: this.getAnswerView(true),
+                answerSheets: this.getRoundAnswerViews(),
+                hosts: this.getHosts(),
+                hostInvites: this.getHostInvites(),
+                questions: this.questions,
+                currentQuestionIndex: this.currentQuestionIndex,
+                questionRevealed: this.questionRevealed,
+                answerRevealed: this.answerRevealed,
+                timer: this.getTimerView(),
+                blockedPlayers: this.blockedPlayers.map(blocked => blocked.playerId), // addresses stay server-side
+                maxTeamSize: this.maxTeamSize,
+                joinLocked: this.joinLocked,
+                tournamentId: this.tournamentId,
+                suddenDeath: this.suddenDeath,
+                standings: this.gameEnded ? this.getStandings() : null,
+                eventEpoch: this.eventEpoch,
+                seq: this.eventSeq
+            };
+        }
+
+        // Read-only view for spectator screens - nothing secret, no answers until revealed
+        getSpectatorSnapshot() {
+            return {
+                phase: this.phase,
+                gameStarted: this.gameStarted,
+                gameEnded: this.gameEnded,
+                scoringEnabled: this.scoringEnabled,
+                currentGame: this.currentGame,
+                currentRound: this.currentRound,
+                format: this.format,
+                teams: this.getTeamsData(),
+                buzzedPlayers: this.buzzedPlayers,
+                buzzersArmed: this.buzzersArmed,
+                currentQuestion: this.getRevealedQuestion(),
+                timer: this.getTimerView(),
+                wagers: this.getWagerView(false),
+                answers: this.getAnswerView(false),
+                tournamentId: this.tournamentId,
+                suddenDeath: this.suddenDeath,
+                standings: this.gameEnded ? this.getStandings() : null,
+                eventEpoch: this.eventEpoch,
+                seq: this.eventSeq
+            };
+        }
+
+        // The official ranking (see standings.js), with any sudden-death result applied
+        getStandings() {
+            const lastRound = Math.max(0, ...Array.from(this.teams.values(), team => team.roundScores.length)) - 1;
+            const standings = computeStandings(Array.from(this.teams.values(), team => ({
+                name: team.name,
+                totalScore: team.totalScore,
+                lastRoundScore: team.roundScores[lastRound] ?? 0,
+                wrongBuzzes: team.wrongBuzzes || 0
+            })), this.format?.tieBreakers);
+
+            const winner = this.suddenDeath?.winner;
+            return winner ? settleSuddenDeath(standings, winner) : standings;
+        }
+
+        // Final (or current) results, teams in standings order
+        getResults() {
+            const rounds = this.format ? flattenRounds(this.format).map(round => ({
+                game: round.gameNum,
+                round: round.roundNum,
+                name: round.name,
+                type: round.type
+            })) : [];
+
+            const teamsData = new Map(this.getTeamsData().map(team => [team.name, team]));
+            const teams = this.getStandings().map(row => {
+                const team = teamsData.get(row.teamName);
+                return {
+                    name: team.name,
+                    totalScore: team.totalScore,
+                    roundScores: rounds.map((_, i) => team.roundScores[i] ?? null),
+                    members: team.members.map(member => member.name),
+                    rank: row.rank
+                };
+            });
+
+            return {
+                gameCode: this.gameCode,
+                createdAt: this.createdAt,
+                gameEnded: this.gameEnded,
+                rounds: rounds,
+                teams: teams
+            };
+        }
+
+        getTeamsData() {
+            const teamsArray = [];
+            this.teams.forEach(team => {
+                teamsArray.push({
+                    name: team.name,
+                    members: team.members.map(member => ({
+                        ...member,
+                        online: this.players.get(member.playerId)?.online || false,
+                        lastSeen: this.players.get(member.playerId)?.lastSeen ?? null
+                    })),
+                    totalScore: team.totalScore,
+                    roundScores: team.roundScores
+                });
+            });
+            return teamsArray;
+        }
+    }
+
+    // Utility Functions
+
+    // Whether a connection (its connInfo) was meant to get an event sent to audience
+    function audienceIncludes(audience, recipient) {
+        const except = audience.except;
+        if (except &&
+            except.type === recipient.type &&
+            except.playerId === recipient.playerId &&
+            except.hostId === recipient.hostId) return false;
+
+        switch (audience.type) {
+            case 'all':
+                return true;
+            case 'host':
+                return recipient.type === 'host';
+            case 'spectators':
+                return recipient.type === 'spectator';
+            case 'players':
+                return recipient.type === 'player';
+            case 'team':
+                return recipient.type === 'player' && recipient.teamName === audience.teamName;
+            case 'player':
+                return recipient.type === 'player' && recipient.playerId === audience.playerId;
+            default:
+                return false;
+        }
+    }
+
+    // Persistence - snapshot after every state change so a restart loses nothing
+    function saveGame(game) {
+        try {
+            storage.save(game.gameCode, game.toJSON());
+        } catch (error) {
+            logger.error(`Error saving game ${game.gameCode}:`, error);
+        }
+    }
+
+    function deleteGame(gameCode) {
+        cancelHostCleanup(gameCode);
+        cancelBuzzWindow(gameCode);
+        stopCountdown(gameCode);
+        cancelManagerHandovers(gameCode);
+        games.delete(gameCode);
+        pubsub.release(gameCode, config.instanceId).catch(error => {
+            logger.error(`Error releasing game ${gameCode}:`, error);
+        });
+        try {
+            storage.remove(gameCode);
+        } catch (error) {
+            logger.error(`Error removing saved game ${gameCode}:`, error);
+        }
+    }
+
+    function saveTournament(tournament) {
+        try {
+            tournamentStorage.save(tournament.tournamentId, tournament.toJSON());
+        } catch (error) {
+            logger.error(`Error saving tournament ${tournament.tournamentId}:`, error);
+        }
+    }
+
+    function restoreTournaments() {
+        tournamentStorage.loadAll().forEach(data => {
+            tournaments.set(data.tournamentId, Tournament.fromJSON(data, () => clock.now()));
+        });
+        logger.log(`Restored ${tournaments.size} tournament(s) from ${config.storage} storage`);
+    }
+
+    // Copies a game's results into its tournament and tells everyone in the game
+    function recordTournamentResults(game) {
+        const tournament = tournaments.get(game.tournamentId);
+        if (!tournament) return;
+
+        tournament.recordResults(game.getResults());
+        saveTournament(tournament);
+
+        broadcast(game.gameCode, {
+            type: 'TOURNAMENT_UPDATED',
+            standings: tournament.getStandings()
+        });
+    }
+
+    async function restoreGames() {
+        const now = clock.now();
+        let restored = 0;
+
+        for (const data of storage.loadAll()) {
+            if (now - data.createdAt > oneHour) {
+                deleteGame(data.gameCode);
+                continue;
+            }
+
+            // Another instance may have taken the game over while we were down - or
+            // this one's claim from before a crash is still running out
+            if (!(await pubsub.claim(data.gameCode, config.instanceId, config.ownershipTtl))) {
+                logger.log(`Skipping saved game ${data.gameCode} for now - owned by another instance`);
+                unclaimedGames.add(data.gameCode);
+                continue;
+            }
+
+            restoreGame(data);
+            restored++;
+        }
+
+        logger.log(`Restored ${restored} saved game(s) from ${config.storage} storage`);
+    }
+
+    // Saved games skipped at startup are ours once their owner's claim lapses
+    async function claimSavedGames() {
+        if (!unclaimedGames.size) return;
+
+        const saved = storage.loadAll().filter(data => unclaimedGames.has(data.gameCode));
+        unclaimedGames.clear();
+        for (const data of saved) {
+            if (games.has(data.gameCode) || clock.now() - data.createdAt > oneHour) continue;
+
+            if (!(await pubsub.claim(data.gameCode, config.instanceId, config.ownershipTtl))) {
+                unclaimedGames.add(data.gameCode);
+                continue;
+            }
+            restoreGame(data);
+            logger.log(`Restored saved game ${data.gameCode} after its owner's claim lapsed`);
+        }
+    }
+
+    function restoreGame(data) {
+        const game = GameState.fromJSON(data);
+        games.set(data.gameCode, game);
+
+        // Whoever was connected when we went down dropped out then, as far as attendance goes
+        data.players.forEach(([playerId, player]) => {
+            if (player.online) game.addToTimeline('disconnect', { playerId: playerId });
+        });
+
+        // A countdown that was running keeps its original deadline
+        if (game.timer && !game.timer.paused) {
+            runCountdown(game);
+        }
+
+        // Nobody is connected yet - give the host the usual grace period to come back
+        scheduleHostCleanup(data.gameCode);
+        game.teams.forEach(team => {
+            if (team.manager) scheduleManagerHandover(game, team.manager);
+        });
+    }
+
+    // Host grace period - a game outlives its host's socket for a while so the host can rejoin
+    function scheduleHostCleanup(gameCode) {
+        cancelHostCleanup(gameCode);
+        hostCleanupTimers.set(gameCode, clock.setTimeout(() => {
+            hostCleanupTimers.delete(gameCode);
+            deleteGame(gameCode);
+            logger.log(`Game ${gameCode} cleaned up`);
+        }, config.hostGracePeriod));
+    }
+
+    function cancelHostCleanup(gameCode) {
+        clock.clearTimeout(hostCleanupTimers.get(gameCode));
+        hostCleanupTimers.delete(gameCode);
+    }
+
+    // Presence - a manager who stays offline hands the team over to a teammate who is online
+    function scheduleManagerHandover(game, playerId) {
+        cancelManagerHandover(game.gameCode, playerId);
+        if (!managerHandovers.has(game.gameCode)) {
+            managerHandovers.set(game.gameCode, new Map());
+        }
+
+        managerHandovers.get(game.gameCode).set(playerId, clock.setTimeout(() => {
+            cancelManagerHandover(game.gameCode, playerId);
+            handOverManager(game, playerId);
+        }, config.managerHandoverDelay));
+    }
+
+    function cancelManagerHandover(gameCode, playerId) {
+        const pending = managerHandovers.get(gameCode);
+        if (!pending) return;
+
+        clock.clearTimeout(pending.get(playerId));
+        pending.delete(playerId);
+        if (pending.size === 0) {
+            managerHandovers.delete(gameCode);
+        }
+    }
+
+    function cancelManagerHandovers(gameCode) {
+        managerHandovers.get(gameCode)?.forEach(timeout => clock.clearTimeout(timeout));
+        managerHandovers.delete(gameCode);
+    }
+
+    function handOverManager(game, playerId) {
+        const player = game.players.get(playerId);
+        const team = player && game.teams.get(player.teamName);
+        if (!team || team.manager !== playerId || player.online) return;
+
+        // With nobody online the team keeps its manager until someone comes back
+        const successor = team.members.find(member => game.players.get(member.playerId)?.online);
+        if (!successor) return;
+
+        team.manager = successor.playerId;
+        team.members.forEach(member => {
+            member.isManager = member.playerId === successor.playerId;
+        });
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'MANAGER_CHANGED',
+            teamName: team.name,
+            newManagerId: successor.playerId,
+            reason: 'managerOffline'
+        });
+        logger.log(`Manager of team ${team.name} handed over to ${successor.playerId} in game ${game.gameCode}`);
+    }
+
+    // Heartbeat - ping every socket and drop any that didn't answer the previous
+    // ping, so half-open connections don't linger as "connected" players
+    function checkHeartbeats() {
+        const now = clock.now();
+        sockets.forEach((socket, ws) => {
+            if (!socket.isAlive) {
+                logger.log(`Dropping unresponsive connection ${socket.id}`);
+                ws.terminate();
+                return;
+            }
+
+            socket.isAlive = false;
+            ws.ping();
+
+            const connInfo = connections.get(ws);
+            if (connInfo?.type === 'player') {
+                const player = games.get(connInfo.gameCode)?.players.get(connInfo.playerId);
+                if (player) player.lastSeen = now;
+            }
+        });
+    }
+
+    // Clock sync - estimate each player's clock offset from ping/pong round trips
+    // so client-reported buzz press times can be compared on the server clock
+    function startClockSync(ws) {
+        const connInfo = connections.get(ws);
+        if (!connInfo) return;
+
+        connInfo.clock = {
+            offset: 0, // client clock minus server clock
+            rtt: null,
+            samples: 0,
+            pendingPing: null
+        };
+        sendClockPing(ws);
+    }
+
+    function sendClockPing(ws) {
+        const sync = connections.get(ws).clock;
+        sync.pendingPing = clock.now();
+
+        ws.send(JSON.stringify({
+            type: 'CLOCK_PING',
+            serverTime: sync.pendingPing
+        }));
+    }
+
+    // Convert a client press time to server time, compensating no more than the
+    // connection's measured round trip (and never more than the configured cap)
+    function resolvePressTime(connInfo, pressedAt, arrivedAt) {
+        const sync = connInfo.clock;
+        if (!sync || sync.rtt === null || typeof pressedAt !== 'number') return arrivedAt;
+
+        const earliest = arrivedAt - Math.min(sync.rtt, config.maxBuzzCompensation);
+        return Math.min(arrivedAt, Math.max(earliest, pressedAt - sync.offset));
+    }
+
+    // Why a buzz didn't count, sent back to the player with the code
+    const BUZZ_REJECTIONS = {
+        NOT_STARTED: 'Game has not started',
+        NOT_ARMED: 'Buzzers are not armed yet',
+        EARLY_BUZZ: 'Too early! Wait for the host to arm the buzzers',
+        LOCKED_OUT: 'Locked out for buzzing early',
+        ANSWERED_WRONG: 'Your team already answered this question',
+        TEAM_BUZZED: 'Team already buzzed',
+        BUZZ_TAKEN: 'Someone else already buzzed in',
+        NOT_CONTENDING: 'Only the teams tied for first are in the sudden death'
+    };
+
+    // Buzz window - the first buzz starts a short window, then everything collected is ranked at once
+    function openBuzzWindow(gameCode) {
+        if (buzzWindows.has(gameCode)) return;
+        buzzWindows.set(gameCode, clock.setTimeout(() => closeBuzzWindow(gameCode), config.buzzWindow));
+    }
+
+    function cancelBuzzWindow(gameCode) {
+        clock.clearTimeout(buzzWindows.get(gameCode));
+        buzzWindows.delete(gameCode);
+    }
+
+    function closeBuzzWindow(gameCode) {
+        buzzWindows.delete(gameCode);
+        const game = games.get(gameCode);
+        if (!game) return;
+
+        const { queued: ranked, beaten } = game.closeBuzzWindow();
+        beaten.forEach(buzz => {
+            sendToPlayer(gameCode, buzz.playerId, {
+                type: 'BUZZ_RESPONSE',
+                playerId: buzz.playerId,
+                success: false,
+                code: 'BUZZ_TAKEN',
+                reason: BUZZ_REJECTIONS.BUZZ_TAKEN
+            });
+        });
+        if (ranked.length === 0) return;
+        ranked.forEach(buzz => {
+            game.addToTimeline('buzz', {
+                playerId: buzz.playerId,
+                teamName: buzz.teamName,
+                reactionTime: buzz.reactionTime,
+                position: game.buzzedPlayers.indexOf(buzz) + 1
+            });
+        });
+        saveGame(game);
+
+        // Notify host
+        ranked.forEach(buzz => {
+            sendToHost(gameCode, {
+                type: 'PLAYER_BUZZED',
+                ...buzz,
+                position: game.buzzedPlayers.indexOf(buzz) + 1
+            });
+        });
+
+        broadcast(gameCode, {
+            type: 'BUZZ_ORDER',
+            buzzedPlayers: game.buzzedPlayers
+        });
+    }
+
+    // Countdown timers - the server owns the clock and tells everyone when time is up
+    const TIMER_SCOPES = ['round', 'buzz'];
+    const TIMER_ACTIONS = ['clearBuzz', 'closeScoring', 'closeAnswers'];
+
+    function runCountdown(game) {
+        const { gameCode } = game;
+        stopCountdown(gameCode);
+
+        countdowns.set(gameCode, {
+            tick: clock.setInterval(() => {
+                broadcast(gameCode, {
+                    type: 'TIMER_TICK',
+                    remainingMs: game.getTimerView().remainingMs
+                });
+            }, config.timerTick),
+            expiry: clock.setTimeout(() => expireTimer(game), Math.max(0, game.timer.endsAt - clock.now()))
+        });
+    }
+
+    function stopCountdown(gameCode) {
+        const countdown = countdowns.get(gameCode);
+        if (!countdown) return;
+
+        clock.clearInterval(countdown.tick);
+        clock.clearTimeout(countdown.expiry);
+        countdowns.delete(gameCode);
+    }
+
+    function expireTimer(game) {
+        const timer = game.timer;
+        stopCountdown(game.gameCode);
+        game.timer = null;
+
+        broadcast(game.gameCode, {
+            type: 'TIMER_EXPIRED',
+            scope: timer.scope,
+            playerId: timer.playerId,
+            onExpire: timer.onExpire
+        });
+
+        if (timer.onExpire === 'clearBuzz') {
+            // Buzz timers clear their own buzz; round timers clear whoever is answering
+            const playerId = timer.playerId || game.buzzedPlayers[0]?.playerId;
+            if (playerId && clearPlayerBuzz(game, playerId)) {
+                broadcast(game.gameCode, {
+                    type: 'BUZZ_ORDER',
+                    buzzedPlayers: game.buzzedPlayers
+                });
+            }
+        } else if (timer.onExpire === 'closeScoring' && game.scoringEnabled) {
+            closeScoring(game);
+        } else if (timer.onExpire === 'closeAnswers' && game.isAnswerRound() && !game.closeAnswers()) {
+            notifyAnswersClosed(game);
+        }
+
+        saveGame(game);
+        logger.log(`Timer expired in game ${game.gameCode}`);
+    }
+
+    // Drops a running timer without firing its auto-action
+    function cancelTimer(game) {
+        if (!game.timer) return;
+
+        stopCountdown(game.gameCode);
+        game.timer = null;
+        broadcast(game.gameCode, {
+            type: 'TIMER_CANCELLED'
+        });
+    }
+
+    // Abuse protection - message rate limits, failed join tracking, kicks and bans
+    // Each proxy appends the address it saw, so only the entries our own proxies
+    // added can be trusted - anything further left the client could have sent
+    function clientIp(req) {
+        const hops = Number(config.trustProxy) || 0;
+        const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+        if (hops > 0 && forwarded.length >= hops) {
+            return forwarded[forwarded.length - hops];
+        }
+        return req.socket.remoteAddress;
+    }
+
+    function isBanned(ip) {
+        const expiresAt = bans.get(ip);
+        if (!expiresAt) return false;
+
+        if (expiresAt <= clock.now()) {
+            bans.delete(ip);
+            return false;
+        }
+        return true;
+    }
+
+    // Spends a token from both the socket's and its IP's bucket. Persistent
+    // offenders are kicked rather than answered forever.
+    function allowMessage(ws) {
+        const socket = sockets.get(ws);
+        if (socket.limiter.take() && ipLimiters.get(socket.ip).take()) return true;
+
+        socket.strikes++;
+        if (socket.strikes >= config.rateLimitStrikes) {
+            kickConnection(ws, 'Too many messages');
+        } else {
+            sendError(ws, 'RATE_LIMITED', 'Too many messages - slow down');
+        }
+        return false;
+    }
+
+    // Guessing game codes shows up as a run of joins for games that don't exist
+    function recordFailedJoin(ws) {
+        const socket = sockets.get(ws);
+        if (!socket || isBanned(socket.ip)) return;
+
+        if (!joinFailures.has(socket.ip)) {
+            const refillPerSecond = config.joinFailureLimit / (config.joinFailureWindow / 1000);
+            joinFailures.set(socket.ip, new TokenBucket(config.joinFailureLimit, refillPerSecond, () => clock.now()));
+        }
+
+        if (!joinFailures.get(socket.ip).take()) {
+            banIp(socket.ip, config.banDuration, 'Too many attempts to join unknown games');
+        }
+    }
+
+    // The client address behind a socket, local or proxied from another instance
+    function socketIp(ws) {
+        return sockets.get(ws)?.ip ?? ws.ip ?? null;
+    }
+
+    function kickConnection(ws, reason) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+                type: 'KICKED',
+                reason: reason
+            }));
+        }
+        ws.close(1008, reason);
+    }
+
+    function banIp(ip, durationMs, reason) {
+        bans.set(ip, clock.now() + durationMs);
+        sockets.forEach((socket, ws) => {
+            if (socket.ip === ip) kickConnection(ws, reason);
+        });
+        logger.log(`Banned ${ip} for ${durationMs}ms: ${reason}`);
+    }
+
+    function forgetSocket(ws) {
+        const socket = sockets.get(ws);
+        if (!socket) return;
+        sockets.delete(ws);
+        socketsById.delete(socket.id);
+
+        // Keep per-IP state while it still matters; a full bucket can be rebuilt on demand
+        const stillConnected = Array.from(sockets.values()).some(other => other.ip === socket.ip);
+        if (!stillConnected && ipLimiters.get(socket.ip)?.isIdle()) {
+            ipLimiters.delete(socket.ip);
+        }
+        if (joinFailures.get(socket.ip)?.isIdle()) {
+            joinFailures.delete(socket.ip);
+        }
+    }
+
+    // Every error carries a machine-readable code and the type of the message that caused it
+    function sendError(ws, code, text, messageType = null, field = null) {
+        ws.send(JSON.stringify({
+            type: 'ERROR',
+            code: code,
+            messageType: messageType,
+            field: field,
+            message: text
+        }));
+    }
+
+    // Sessions - every privileged message must carry the token issued on
+    // GAME_CREATED / GAME_JOINED, and it must match the sending connection.
+    // Host messages must also be allowed for that host's role.
+    function requireSession(ws, message, role) {
+        const session = sessions.verify(message.sessionToken);
+        const connInfo = connections.get(ws);
+
+        const valid = session &&
+            connInfo &&
+            session.role === role &&
+            connInfo.type === role &&
+            session.gameCode === connInfo.gameCode &&
+            session.gameCode === message.gameCode &&
+            (role === 'host' ? session.hostId === connInfo.hostId : session.playerId === connInfo.playerId);
+
+        if (!valid) {
+            sendError(ws, 'UNAUTHORIZED', 'Invalid or missing session token', message.type);
+            return null;
+        }
+
+        if (role === 'host') {
+            const hostRole = games.get(session.gameCode)?.getHostRole(session.hostId);
+            if (!hostRole) {
+                sendError(ws, 'UNAUTHORIZED', 'Session no longer belongs to this game', message.type);
+                return null;
+            }
+            if (!hostCan(hostRole, message.type)) {
+                sendError(ws, 'FORBIDDEN', `A ${hostRole} can't do that`, message.type);
+                return null;
+            }
+        }
+        return session;
+    }
+
+    // Drop any other socket still bound to the same identity so only the newest one acts for it
+    function unbindIdentity(gameCode, matches) {
+        connections.forEach((connInfo, otherWs) => {
+            if (connInfo.gameCode === gameCode && matches(connInfo)) {
+                connections.delete(otherWs);
+            }
+        });
+    }
+
+    // Events that are stale as soon as the next one arrives aren't numbered or replayed
+    const TRANSIENT_EVENTS = new Set(['TIMER_TICK']);
+
+    // Numbers an outgoing event and buffers it for replay. Returns the JSON to send.
+    function sequenceEvent(game, audience, message) {
+        if (TRANSIENT_EVENTS.has(message.type)) {
+            return JSON.stringify(message);
+        }
+        return JSON.stringify(game.recordEvent(audience, message));
+    }
+
+    function broadcast(gameCode, message, excludeConnection = null) {
+        const game = games.get(gameCode);
+        if (!game) return;
+
+        const excluded = excludeConnection && connections.get(excludeConnection);
+        const data = sequenceEvent(game, {
+            type: 'all',
+            except: excluded ? { type: excluded.type, playerId: excluded.playerId, hostId: excluded.hostId } : undefined
+        }, message);
+
+        connections.forEach((connInfo, ws) => {
+            if (ws === excludeConnection) return;
+            if (connInfo.gameCode === gameCode && ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+            }
+        });
+    }
+
+    // Every host-side connection - the lead host and any co-hosts
+    function hostConnections(gameCode) {
+        const hostSockets = [];
+        connections.forEach((connInfo, ws) => {
+            if (connInfo.gameCode === gameCode && connInfo.type === 'host') {
+                hostSockets.push(ws);
+            }
+        });
+        return hostSockets;
+    }
+
+    function sendToHost(gameCode, message) {
+        const game = games.get(gameCode);
+        if (!game) return;
+
+        const data = sequenceEvent(game, { type: 'host' }, message);
+        hostConnections(gameCode).forEach(ws => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+            }
+        });
+    }
+
+    function sendToPlayers(gameCode, message) {
+        const game = games.get(gameCode);
+        if (!game) return;
+
+        const data = sequenceEvent(game, { type: 'players' }, message);
+        connections.forEach((connInfo, ws) => {
+            if (connInfo.gameCode === gameCode &&
+                connInfo.type === 'player' &&
+                ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+            }
+        });
+    }
+
+    function sendToTeam(gameCode, teamName, message) {
+        const game = games.get(gameCode);
+        if (!game) return;
+
+        const data = sequenceEvent(game, { type: 'team', teamName: teamName }, message);
+        connections.forEach((connInfo, ws) => {
+            if (connInfo.gameCode === gameCode &&
+                connInfo.type === 'player' &&
+                connInfo.teamName === teamName &&
+                ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+            }
+        });
+    }
+
+    function sendToSpectators(gameCode, message) {
+        const game = games.get(gameCode);
+        if (!game) return;
+
+        const data = sequenceEvent(game, { type: 'spectators' }, message);
+        connections.forEach((connInfo, ws) => {
+            if (connInfo.gameCode === gameCode &&
+                connInfo.type === 'spectator' &&
+                ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+            }
+        });
+    }
+
+    // Spectators don't get the host's per-team notifications, so push them the whole board
+    function notifyScoreboard(game) {
+        sendToSpectators(game.gameCode, {
+            type: 'SCOREBOARD_UPDATED',
+            teams: game.getTeamsData()
+        });
+    }
+
+    // Moves the game to a new phase and tells everyone, hosts included
+    function changePhase(game, phase) {
+        const previous = game.phase;
+        if (phase === previous) return;
+
+        game.setPhase(phase);
+        game.addToTimeline('phase', { phase: phase, previous: previous });
+        broadcast(game.gameCode, {
+            type: 'PHASE_CHANGED',
+            phase: phase,
+            previous: previous
+        });
+    }
+
+    function sendToPlayer(gameCode, playerId, message) {
+        const game = games.get(gameCode);
+        if (!game) return;
+
+        const data = sequenceEvent(game, { type: 'player', playerId: playerId }, message);
+        connections.forEach((connInfo, ws) => {
+            if (connInfo.gameCode === gameCode && 
+                connInfo.playerId === playerId && 
+                ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+            }
+        });
+    }
+
+    // Multi-instance routing - a game lives on the instance that created it (its owner).
+    // Sockets connected to any other instance are proxied: that instance forwards their
+    // messages to the owner, and the owner answers through a RemoteSocket stand-in, so
+    // the handlers and the connections map work the same for local and remote players.
+    const remoteSockets = new Map(); // `${instanceId}:${socketId}` -> RemoteSocket, on the owner
+
+    function instanceChannel(instanceId) {
+        return `instance:${instanceId}`;
+    }
+
+    function publishTo(instanceId, envelope) {
+        pubsub.publish(instanceChannel(instanceId), envelope).catch(error => {
+            logger.error(`Error publishing to instance ${instanceId}:`, error);
+        });
+    }
+
+    class RemoteSocket {
+        constructor(instanceId, socketId, ip) {
+            this.instanceId = instanceId;
+            this.socketId = socketId;
+            this.ip = ip; // the client's address, as the gateway instance saw it
+            this.readyState = WebSocket.OPEN;
+        }
+
+        get key() {
+            return `${this.instanceId}:${this.socketId}`;
+        }
+
+        send(data) {
+            if (this.readyState !== WebSocket.OPEN) return;
+            publishTo(this.instanceId, { kind: 'send', socketId: this.socketId, data: data });
+        }
+
+        close(code, reason) {
+            if (this.readyState !== WebSocket.OPEN) return;
+            this.readyState = WebSocket.CLOSED;
+            remoteSockets.delete(this.key);
+            publishTo(this.instanceId, { kind: 'close', socketId: this.socketId, code: code, reason: reason });
+        }
+    }
+
+    // Claims a free game code for this instance - the requested one if nobody holds it
+    async function claimGameCode(requested) {
+        let gameCode = requested || generateGameCode();
+        while (games.has(gameCode) || !(await pubsub.claim(gameCode, config.instanceId, config.ownershipTtl))) {
+            gameCode = generateGameCode();
+        }
+        return gameCode;
+    }
+
+    async function routeMessage(ws, message) {
+        const socket = sockets.get(ws);
+        if (!socket) return;
+
+        // Games are always created on the instance the host is connected to
+        if (message?.type === 'CREATE_GAME' && !validateMessage(message)) {
+            message = { ...message, gameCode: await claimGameCode(message.gameCode) };
+        }
+
+        const gameCode = typeof message?.gameCode === 'string' ? message.gameCode : null;
+        if (gameCode && gameCode !== socket.route?.gameCode) {
+            const owner = games.has(gameCode) ? config.instanceId : await pubsub.owner(gameCode);
+            leaveRoute(ws);
+            socket.route = owner ? { gameCode: gameCode, owner: owner } : null;
+        }
+
+        if (socket.route && socket.route.owner !== config.instanceId) {
+            publishTo(socket.route.owner, {
+                kind: 'message',
+                from: config.instanceId,
+                socketId: socket.id,
+                ip: socket.ip,
+                message: message
+            });
+            return;
+        }
+
+        handleMessage(ws, message);
+    }
+
+    // Tell the previous owner this socket is gone before it talks to another game
+    function leaveRoute(ws) {
+        const socket = sockets.get(ws);
+        if (socket?.route && socket.route.owner !== config.instanceId) {
+            publishTo(socket.route.owner, { kind: 'closed', from: config.instanceId, socketId: socket.id });
+        }
+        if (socket) socket.route = null;
+    }
+
+    function handleInstanceMessage(envelope) {
+        switch (envelope.kind) {
+            // Owner side - a proxied socket's message or disconnection
+            case 'message': {
+                const key = `${envelope.from}:${envelope.socketId}`;
+                if (!remoteSockets.has(key)) {
+                    remoteSockets.set(key, new RemoteSocket(envelope.from, envelope.socketId, envelope.ip));
+                }
+                const remote = remoteSockets.get(key);
+                try {
+                    handleMessage(remote, envelope.message);
+                } catch (error) {
+                    logger.error(`Error handling ${envelope.message?.type}:`, error);
+                    sendError(remote, 'INTERNAL_ERROR', 'Something went wrong handling that message', envelope.message?.type);
+                }
+                break;
+            }
+
+            case 'closed': {
+                const remote = remoteSockets.get(`${envelope.from}:${envelope.socketId}`);
+                if (!remote) return;
+                handleDisconnection(remote);
+                remote.readyState = WebSocket.CLOSED;
+                remoteSockets.delete(remote.key);
+                break;
+            }
+
+            // Gateway side - the owner talking back to one of our sockets
+            case 'send': {
+                const ws = socketsById.get(envelope.socketId);
+                if (ws && ws.readyState === WebSocket.OPEN) {
+                    ws.send(envelope.data);
+                }
+                break;
+            }
+
+            case 'close': {
+                const ws = socketsById.get(envelope.socketId);
+                const socket = ws && sockets.get(ws);
+                if (!socket) return;
+                // The owner already forgot this socket, so don't report the close back
+                socket.route = null;
+                ws.close(envelope.code, envelope.reason);
+                break;
+            }
+        }
+    }
+
+    // Keep ownership of our games alive in the registry
+    function renewOwnership() {
+        games.forEach((game, gameCode) => {
+            pubsub.claim(gameCode, config.instanceId, config.ownershipTtl).catch(error => {
+                logger.error(`Error renewing ownership of game ${gameCode}:`, error);
+            });
+        });
+        claimSavedGames().catch(error => {
+            logger.error('Error claiming saved games:', error);
+        });
+    }
+
+    // WebSocket Connection Handling
+    wss.on('connection', (ws, req) => {
+        const ip = clientIp(req);
+        if (isBanned(ip)) {
+            ws.close(1008, 'Banned');
+            return;
+        }
+
+        logger.log('New WebSocket connection');
+        sockets.set(ws, {
+            id: nextSocketId++,
+            ip: ip,
+            connectedAt: clock.now(),
+            limiter: new TokenBucket(config.connectionMessageBurst, config.connectionMessageRate, () => clock.now()),
+            strikes: 0,
+            isAlive: true,
+            route: null, // { gameCode, owner } of the game this socket last talked to
+            queue: Promise.resolve() // keeps messages in order while routing waits on the broker
+        });
+        socketsById.set(sockets.get(ws).id, ws);
+        if (!ipLimiters.has(ip)) {
+            ipLimiters.set(ip, new TokenBucket(config.ipMessageBurst, config.ipMessageRate, () => clock.now()));
+        }
+
+        ws.on('message', (data) => {
+            // Kicked sockets may still have messages in flight
+            if (ws.readyState !== WebSocket.OPEN || !allowMessage(ws)) return;
+
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                logger.error('Error parsing message:', error);
+                sendError(ws, 'INVALID_MESSAGE', 'Invalid message format');
+                return;
+            }
+
+            const socket = sockets.get(ws);
+            socket.queue = socket.queue
+                .then(() => routeMessage(ws, message))
+                .catch(error => {
+                    logger.error(`Error handling ${message?.type}:`, error);
+                    sendError(ws, 'INTERNAL_ERROR', 'Something went wrong handling that message', message?.type);
+                });
+        });
+
+        ws.on('pong', () => {
+            const socket = sockets.get(ws);
+            if (socket) socket.isAlive = true;
+        });
+
+        ws.on('close', () => {
+            handleDisconnection(ws);
+            leaveRoute(ws);
+            forgetSocket(ws);
+        });
+
+        ws.on('error', (error) => {
+            logger.error('WebSocket error:', error);
+            handleDisconnection(ws);
+        });
+    });
+
+    function handleMessage(ws, message) {
+        const invalid = validateMessage(message);
+        if (invalid) {
+            const messageType = typeof message?.type === 'string' ? message.type : null;
+            sendError(ws, invalid.code, invalid.message, messageType, invalid.field);
+            return;
+        }
+
+        logger.log('Received message:', message.type);
+
+        const game = games.get(message.gameCode);
+        if (game && !phaseAllows(game.phase, message.type)) {
+            sendError(ws, 'WRONG_PHASE', `${message.type} is not allowed during ${game.phase}`, message.type);
+            return;
+        }
+
+        switch (message.type) {
+            case 'CREATE_GAME':
+                handleCreateGame(ws, message);
+                break;
+
+            case 'JOIN_SPECTATOR':
+                handleJoinSpectator(ws, message);
+                break;
+
+            case 'JOIN_GAME':
+                handleJoinGame(ws, message);
+                break;
+
+            case 'REJOIN_GAME':
+                handleRejoinGame(ws, message);
+                break;
+
+            case 'REJOIN_HOST':
+                handleRejoinHost(ws, message);
+                break;
+
+            case 'GAME_STARTED':
+                handleGameStarted(ws, message);
+                break;
+
+            case 'ROUND_UPDATE':
+                handleRoundUpdate(ws, message);
+                break;
+
+            case 'PLAYER_BUZZ':
+                handlePlayerBuzz(ws, message);
+                break;
+
+            case 'CLOCK_SYNC':
+                handleClockSync(ws, message);
+                break;
+
+            case 'CLOCK_PONG':
+                handleClockPong(ws, message);
+                break;
+
+            case 'CLEAR_BUZZERS':
+                handleClearBuzzers(ws, message);
+                break;
+
+            case 'CLEAR_PLAYER_BUZZ':
+                handleClearPlayerBuzz(ws, message);
+                break;
+
+            case 'ARM_BUZZERS':
+                handleArmBuzzers(ws, message, true);
+                break;
+
+            case 'DISARM_BUZZERS':
+                handleArmBuzzers(ws, message, false);
+                break;
+
+            case 'MARK_BUZZ_CORRECT':
+                handleMarkBuzzCorrect(ws, message);
+                break;
+            case 'MARK_BUZZ_WRONG':
+                handleMarkBuzzWrong(ws, message);
+                break;
+
+            case 'ENABLE_SCORING':
+                handleEnableScoring(ws, message);
+                break;
+
+            case 'CLOSE_SCORING':
+                handleCloseScoring(ws, message);
+                break;
+
+            case 'SUBMIT_SCORE':
+                handleSubmitScore(ws, message);
+                break;
+
+            case 'MANAGER_CHANGED':
+                handleManagerChanged(ws, message);
+                break;
+
+            case 'SCORE_UPDATED':
+                handleScoreUpdated(ws, message);
+                break;
+
+            case 'SUBMIT_WAGER':
+                handleSubmitWager(ws, message);
+                break;
+
+            case 'LOCK_WAGERS':
+                handleLockWagers(ws, message);
+                break;
+
+            case 'RESOLVE_WAGERS':
+                handleResolveWagers(ws, message);
+                break;
+
+            case 'DRAFT_ANSWER':
+                handleDraftAnswer(ws, message);
+                break;
+
+            case 'LOCK_ANSWER':
+                handleLockAnswer(ws, message);
+                break;
+
+            case 'CLOSE_ANSWERS':
+                handleCloseAnswers(ws, message);
+                break;
+
+            case 'MARK_ANSWERS':
+                handleMarkAnswers(ws, message);
+                break;
+
+            case 'UPLOAD_QUESTIONS':
+                handleUploadQuestions(ws, message);
+                break;
+
+            case 'NEXT_QUESTION':
+                handleNextQuestion(ws, message);
+                break;
+
+            case 'REVEAL_QUESTION':
+                handleRevealQuestion(ws, message);
+                break;
+
+            case 'REVEAL_ANSWER':
+                handleRevealAnswer(ws, message);
+                break;
+
+            case 'START_TIMER':
+                handleStartTimer(ws, message);
+                break;
+
+            case 'PAUSE_TIMER':
+                handlePauseTimer(ws, message);
+                break;
+
+            case 'RESUME_TIMER':
+                handleResumeTimer(ws, message);
+                break;
+
+            case 'CANCEL_TIMER':
+                handleCancelTimer(ws, message);
+                break;
+
+            case 'GET_SCORE_HISTORY':
+                handleGetScoreHistory(ws, message);
+                break;
+
+            case 'UNDO_SCORE_CHANGE':
+                handleUndoScoreChange(ws, message);
+                break;
+
+            case 'KICK_PLAYER':
+                handleKickPlayer(ws, message);
+                break;
+
+            case 'RENAME_TEAM':
+                handleRenameTeam(ws, message);
+                break;
+
+            case 'RENAME_PLAYER':
+                handleRenamePlayer(ws, message);
+                break;
+
+            case 'MOVE_PLAYER':
+                handleMovePlayer(ws, message);
+                break;
+
+            case 'SET_TEAM_SIZE':
+                handleSetTeamSize(ws, message);
+                break;
+
+            case 'LOCK_JOINING':
+                handleLockJoining(ws, message);
+                break;
+
+            case 'INVITE_HOST':
+                handleInviteHost(ws, message);
+                break;
+
+            case 'JOIN_AS_HOST':
+                handleJoinAsHost(ws, message);
+                break;
+
+            case 'SET_HOST_ROLE':
+                handleSetHostRole(ws, message);
+                break;
+
+            case 'REVOKE_HOST_INVITE':
+                handleRevokeHostInvite(ws, message);
+                break;
+
+            case 'REMOVE_HOST':
+                handleRemoveHost(ws, message);
+                break;
+
+            case 'REVEAL_FINAL_SCORES':
+                handleRevealFinalScores(ws, message);
+                break;
+
+            case 'LEAVE_GAME':
+                handleLeaveGame(ws, message);
+                break;
+
+            case 'PLAYER_DISCONNECT':
+                handlePlayerDisconnect(ws, message);
+                break;
+
+            case 'GET_TEAMS':
+                handleGetTeams(ws, message);
+                break;
+
+            case 'GET_TOURNAMENT':
+                handleGetTournament(ws, message);
+                break;
+
+            default:
+                sendError(ws, 'UNKNOWN_MESSAGE_TYPE', 'Unknown message type', message.type);
+        }
+    }
+
+    function handleCreateGame(ws, message) {
+        let gameCode = message.gameCode || generateGameCode();
+
+        // Tournament ids are public, so entering one takes a token from the admin API
+        let tournament = null;
+        if (message.tournamentToken) {
+            const entry = sessions.verify(message.tournamentToken, config.tournamentTokenTtl);
+            if (!entry || entry.role !== 'tournamentEntry') {
+                sendError(ws, 'UNAUTHORIZED', 'Invalid or expired tournament token', message.type);
+                return;
+            }
+
+            tournament = tournaments.get(entry.tournamentId);
+            if (!tournament) {
+                sendError(ws, 'TOURNAMENT_NOT_FOUND', 'Tournament not found', message.type);
+                return;
+            }
+        }
+
+        // Ensure unique game code for new games
+        while (games.has(gameCode)) {
+            gameCode = generateGameCode();
+        }
+
+        const gameState = new GameState(gameCode, message.hostId);
+        games.set(gameCode, gameState);
+        if (tournament) {
+            gameState.tournamentId = tournament.tournamentId;
+            tournament.addGame(gameCode);
+            saveTournament(tournament);
+        }
+        saveGame(gameState);
+
+        connections.set(ws, {
+            type: 'host',
+            gameCode: gameCode,
+            hostId: message.hostId
+        });
+
+        ws.send(JSON.stringify({
+            type: 'GAME_CREATED',
+            gameCode: gameCode,
+            sessionToken: sessions.issue({ role: 'host', gameCode: gameCode, hostId: message.hostId }),
+            eventEpoch: gameState.eventEpoch,
+            seq: gameState.eventSeq,
+            tournamentId: gameState.tournamentId,
+            restored: false
+        }));
+
+        logger.log(`Game created: ${gameCode}`);
+    }
+
+    function handleJoinGame(ws, message) {
+        const { gameCode } = message;
+        const playerName = message.playerName.trim();
+        const teamName = message.teamName.trim();
+        const game = games.get(gameCode);
+
+        if (!game) {
+            recordFailedJoin(ws);
+            sendError(ws, 'GAME_NOT_FOUND', 'Game not found', message.type);
+            return;
+        }
+
+        // Taking over an existing identity requires its session token (REJOIN_GAME)
+        if (message.playerId && game.players.has(message.playerId)) {
+            sendError(ws, 'PLAYER_ID_TAKEN', 'Player already in game - rejoin with your session token', message.type);
+            return;
+        }
+
+        if (game.isBlocked(message.playerId, socketIp(ws))) {
+            sendError(ws, 'PLAYER_BLOCKED', 'You have been removed from this game', message.type);
+            return;
+        }
+
+        if (game.joinLocked) {
+            sendError(ws, 'JOINING_LOCKED', 'This game is not accepting new players', message.type);
+            return;
+        }
+
+        if (game.isTeamFull(teamName)) {
+            sendError(ws, 'TEAM_FULL', `Team ${teamName} is full`, message.type);
+            return;
+        }
+
+        const playerId = message.playerId || crypto.randomUUID();
+
+        // Add player to game
+        game.addPlayer(playerId, {
+            name: playerName,
+            teamName: teamName
+        });
+        saveGame(game);
+
+        attachPlayer(ws, game, playerId, false);
+
+        logger.log(`Player ${playerName} joined game ${gameCode} on team ${teamName}`);
+    }
+
+    // What a team sees of its own answer for the current question
+    function teamAnswerView(game, teamName) {
+        const entry = game.getAnswerSheet()?.entries[teamName];
+        if (!entry) return null;
+
+        return {
+            text: entry.text,
+            choice: entry.choice,
+            locked: entry.lockedBy !== null,
+            correct: entry.correct
+        };
+    }
+
+    // A rejoining client that sends its last seen seq (and the epoch it came from)
+    // gets just the events it missed, if they're all still buffered. Returns false
+    // when it needs a full snapshot instead.
+    function resumeSession(ws, game, resumeFrom, sessionToken) {
+        const missed = game.getMissedEvents(resumeFrom.lastSeq, resumeFrom.eventEpoch, connections.get(ws));
+        if (!missed) return false;
+
+        ws.send(JSON.stringify({
+            type: 'SESSION_RESUMED',
+            gameCode: game.gameCode,
+            sessionToken: sessionToken,
+            eventEpoch: game.eventEpoch,
+            seq: game.eventSeq,
+            replayed: missed.length
+        }));
+        missed.forEach(event => ws.send(JSON.stringify(event)));
+        return true;
+    }
+
+    // Binds a socket to a player already in the game and sends them the current state
+    function attachPlayer(ws, game, playerId, restored, resumeFrom = null) {
+        const player = game.players.get(playerId);
+
+        unbindIdentity(game.gameCode, connInfo => connInfo.type === 'player' && connInfo.playerId === playerId);
+        connections.set(ws, {
+            type: 'player',
+            gameCode: game.gameCode,
+            playerId: playerId,
+            teamName: player.teamName
+        });
+
+        player.online = true;
+        player.lastSeen = clock.now();
+        cancelManagerHandover(game.gameCode, playerId);
+        game.addToTimeline(restored ? 'rejoin' : 'join', { playerId: playerId, playerName: player.name, teamName: player.teamName });
+        saveGame(game);
+
+        // Confirm join to player
+        const sessionToken = sessions.issue({ role: 'player', gameCode: game.gameCode, playerId: playerId });
+        if (!resumeFrom || !resumeSession(ws, game, resumeFrom, sessionToken)) {
+            ws.send(JSON.stringify({
+                type: 'GAME_JOINED',
+                gameCode: game.gameCode,
+                playerId: playerId,
+                sessionToken: sessionToken,
+                phase: game.phase,
+                gameStarted: game.gameStarted,
+                currentGame: game.currentGame,
+                currentRound: game.currentRound,
+                format: game.format,
+                teams: game.getTeamsData(),
+                buzzedPlayers: game.buzzedPlayers,
+                buzzersArmed: game.buzzersArmed,
+                currentQuestion: game.getRevealedQuestion(),
+                timer: game.getTimerView(),
+                teamAnswer: teamAnswerView(game, player.teamName),
+                suddenDeath: game.suddenDeath,
+                standings: game.gameEnded ? game.getStandings() : null,
+                eventEpoch: game.eventEpoch,
+                seq: game.eventSeq,
+                restored: restored
+            }));
+        }
+        startClockSync(ws);
+
+        // Notify host of new player
+        sendToHost(game.gameCode, {
+            type: 'PLAYER_JOINED',
+            playerId: playerId,
+            playerName: player.name,
+            teamName: player.teamName,
+            isManager: game.teams.get(player.teamName)?.manager === playerId,
+            teams: game.getTeamsData()
+        });
+        notifyScoreboard(game);
+    }
+
+    // Binds a socket as one of the game's hosts and sends it the full state
+    function attachHost(ws, game, hostId, resumeFrom = null, messageType = 'HOST_REJOINED') {
+        const hadHost = hostConnections(game.gameCode).some(hostWs => connections.get(hostWs).hostId !== hostId);
+
+        cancelHostCleanup(game.gameCode);
+        unbindIdentity(game.gameCode, connInfo => connInfo.type === 'host' && connInfo.hostId === hostId);
+        connections.set(ws, {
+            type: 'host',
+            gameCode: game.gameCode,
+            hostId: hostId
+        });
+
+        const sessionToken = sessions.issue({ role: 'host', gameCode: game.gameCode, hostId: hostId });
+        if (!resumeFrom || !resumeSession(ws, game, resumeFrom, sessionToken)) {
+            ws.send(JSON.stringify({
+                type: messageType,
+                gameCode: game.gameCode,
+                sessionToken: sessionToken,
+                hostId: hostId,
+                role: game.getHostRole(hostId),
+                ...game.getHostSnapshot()
+            }));
+        }
+
+        // Players only care whether anyone is running the game
+        if (!hadHost) {
+            broadcast(game.gameCode, {
+                type: 'HOST_RECONNECTED'
+            }, ws);
+        }
+        notifyHostsChanged(game);
+    }
+
+    function notifyHostsChanged(game) {
+        const connected = new Set(hostConnections(game.gameCode).map(ws => connections.get(ws).hostId));
+        sendToHost(game.gameCode, {
+            type: 'HOSTS_UPDATED',
+            hosts: game.getHosts().map(host => ({ ...host, connected: connected.has(host.hostId) }))
+        });
+    }
+
+    // Spectators (projector screens, audience displays) watch without a team or session
+    function handleJoinSpectator(ws, message) {
+        const game = games.get(message.gameCode);
+
+        if (!game) {
+            recordFailedJoin(ws);
+            sendError(ws, 'GAME_NOT_FOUND', 'Game not found', message.type);
+            return;
+        }
+
+        connections.set(ws, {
+            type: 'spectator',
+            gameCode: game.gameCode
+        });
+
+        if (message.lastSeq === undefined || !resumeSession(ws, game, message, null)) {
+            ws.send(JSON.stringify({
+                type: 'SPECTATOR_JOINED',
+                gameCode: game.gameCode,
+                ...game.getSpectatorSnapshot()
+            }));
+        }
+
+        logger.log(`Spectator joined game ${game.gameCode}`);
+    }
+
+    function handleRejoinGame(ws, message) {
+        const session = sessions.verify(message.sessionToken);
+        const game = session && games.get(session.gameCode);
+
+        if (!session || session.gameCode !== message.gameCode) {
+            sendError(ws, 'UNAUTHORIZED', 'Invalid or missing session token', message.type);
+            return;
+        }
+
+        if (!game) {
+            recordFailedJoin(ws);
+            sendError(ws, 'GAME_NOT_FOUND', 'Game not found', message.type);
+            return;
+        }
+
+        if (session.role === 'player' && game.isBlocked(session.playerId)) {
+            sendError(ws, 'PLAYER_BLOCKED', 'You have been removed from this game', message.type);
+            return;
+        }
+
+        if (session.role === 'host') {
+            handleRejoinHost(ws, message);
+        } else if (session.role === 'player' && game.players.has(session.playerId)) {
+            attachPlayer(ws, game, session.playerId, true, message);
+            logger.log(`Player ${session.playerId} rejoined game ${game.gameCode}`);
+        } else {
+            sendError(ws, 'UNAUTHORIZED', 'Session no longer belongs to this game', message.type);
+        }
+    }
+
+    function handleRejoinHost(ws, message) {
+        const session = sessions.verify(message.sessionToken);
+        const game = session && games.get(session.gameCode);
+
+        if (!session || session.role !== 'host' || session.gameCode !== message.gameCode) {
+            sendError(ws, 'UNAUTHORIZED', 'Invalid or missing host session token', message.type);
+            return;
+        }
+
+        if (!game) {
+            recordFailedJoin(ws);
+            sendError(ws, 'GAME_NOT_FOUND', 'Game not found', message.type);
+            return;
+        }
+
+        if (!game.getHostRole(session.hostId)) {
+            sendError(ws, 'UNAUTHORIZED', 'Session no longer belongs to this game', message.type);
+            return;
+        }
+
+        attachHost(ws, game, session.hostId, message);
+        logger.log(`Host ${session.hostId} rejoined game ${game.gameCode}`);
+    }
+
+    // Co-hosts - the lead host hands out invite tokens for a role; whoever
+    // joins with one becomes a separate host with its own session. Each invite
+    // works once, expires after config.hostInviteTtl and can be revoked until used.
+    function handleInviteHost(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const inviteId = crypto.randomUUID();
+        game.hostInvites.set(inviteId, { role: message.role, createdAt: clock.now() });
+        saveGame(game);
+
+        ws.send(JSON.stringify({
+            type: 'HOST_INVITE',
+            inviteId: inviteId,
+            role: message.role,
+            expiresAt: clock.now() + config.hostInviteTtl,
+            inviteToken: sessions.issue({ role: 'hostInvite', gameCode: game.gameCode, inviteId: inviteId })
+        }));
+    }
+
+    function handleRevokeHostInvite(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.hostInvites.delete(message.inviteId)) {
+            sendError(ws, 'INVITE_NOT_FOUND', 'No such invite, or it has already been used', message.type);
+            return;
+        }
+        saveGame(game);
+
+        sendToHost(game.gameCode, {
+            type: 'HOST_INVITE_REVOKED',
+            inviteId: message.inviteId
+        });
+    }
+
+    function handleJoinAsHost(ws, message) {
+        const token = sessions.verify(message.inviteToken, config.hostInviteTtl);
+        const game = games.get(message.gameCode);
+
+        if (!token || token.role !== 'hostInvite' || token.gameCode !== message.gameCode) {
+            sendError(ws, 'UNAUTHORIZED', 'Invalid or expired host invite', message.type);
+            return;
+        }
+
+        if (!game) {
+            recordFailedJoin(ws);
+            sendError(ws, 'GAME_NOT_FOUND', 'Game not found', message.type);
+            return;
+        }
+
+        const invite = game.hostInvites.get(token.inviteId);
+        if (!invite) {
+            sendError(ws, 'UNAUTHORIZED', 'This host invite has already been used or was revoked', message.type);
+            return;
+        }
+        game.hostInvites.delete(token.inviteId);
+
+        const hostId = crypto.randomUUID();
+        game.cohosts.set(hostId, {
+            name: message.name.trim(),
+            role: invite.role,
+            addedAt: clock.now()
+        });
+        saveGame(game);
+
+        attachHost(ws, game, hostId, null, 'HOST_JOINED');
+        logger.log(`${invite.role} ${hostId} joined game ${game.gameCode}`);
+    }
+
+    function handleSetHostRole(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const cohost = game.cohosts.get(message.hostId);
+        if (!cohost) {
+            sendError(ws, 'HOST_NOT_FOUND', 'No such co-host', message.type);
+            return;
+        }
+
+        cohost.role = message.role;
+        saveGame(game);
+        notifyHostsChanged(game);
+    }
+
+    function handleRemoveHost(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.cohosts.delete(message.hostId)) {
+            sendError(ws, 'HOST_NOT_FOUND', 'No such co-host', message.type);
+            return;
+        }
+        saveGame(game);
+
+        connections.forEach((connInfo, hostWs) => {
+            if (connInfo.gameCode === game.gameCode && connInfo.type === 'host' && connInfo.hostId === message.hostId) {
+                connections.delete(hostWs);
+                kickConnection(hostWs, 'Removed by the host');
+            }
+        });
+        notifyHostsChanged(game);
+
+        logger.log(`Co-host ${message.hostId} removed from game ${game.gameCode}`);
+    }
+
+    function handleGameStarted(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        // Structured format preferred; legacy [name, roundCount] arrays are upgraded
+        const { format, errors } = parseGameFormat(message.format || message.games);
+        if (errors.length) {
+            sendError(ws, 'INVALID_GAME_FORMAT', `Invalid game format: ${errors.join('; ')}`, message.type);
+            return;
+        }
+
+        const currentGame = message.currentGame || 1;
+        const currentRound = message.currentRound || 1;
+        if (!format.games[currentGame - 1]?.rounds[currentRound - 1]) {
+            sendError(ws, 'INVALID_ROUND', `Game ${currentGame}, Round ${currentRound} is not in the format`, message.type);
+            return;
+        }
+
+        game.format = format;
+        game.currentGame = currentGame;
+        game.currentRound = currentRound;
+        game.resetBuzzIn();
+        changePhase(game, game.roundPhase());
+        game.addToTimeline('round', { game: currentGame, round: currentRound });
+        if (message.lockJoining) {
+            game.joinLocked = true;
+        }
+        saveGame(game);
+
+        broadcast(message.gameCode, {
+            type: 'GAME_STARTED',
+            format: format,
+            currentGame: currentGame,
+            currentRound: currentRound,
+            buzzersArmed: game.buzzersArmed
+        }, ws);
+
+        logger.log(`Game ${message.gameCode} started`);
+    }
+
+    function handleRoundUpdate(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.format) {
+            sendError(ws, 'GAME_NOT_STARTED', 'Game has not started', message.type);
+            return;
+        }
+
+        const round = game.getRound(message.currentGame, message.currentRound);
+        if (!round) {
+            sendError(ws, 'INVALID_ROUND', `Game ${message.currentGame}, Round ${message.currentRound} is not in the format`, message.type);
+            return;
+        }
+
+        // Rounds advance one at a time; stepping back one is allowed to fix mistakes
+        const from = game.getRoundIndex(game.currentGame, game.currentRound);
+        const to = game.getRoundIndex(message.currentGame, message.currentRound);
+        if (Math.abs(to - from) > 1) {
+            sendError(ws, 'INVALID_ROUND_TRANSITION', 'Rounds can only move to the next or previous round', message.type);
+            return;
+        }
+
+        cancelTimer(game);
+        game.currentGame = message.currentGame;
+        game.currentRound = message.currentRound;
+        game.resetBuzzIn();
+        changePhase(game, game.roundPhase());
+        game.addToTimeline('round', { game: game.currentGame, round: game.currentRound });
+        saveGame(game);
+
+        broadcast(message.gameCode, {
+            type: 'ROUND_UPDATE',
+            currentGame: message.currentGame,
+            currentRound: message.currentRound,
+            round: round,
+            buzzersArmed: game.buzzersArmed
+        }, ws);
+
+        logger.log(`Game ${message.gameCode} updated to Game ${message.currentGame}, Round ${message.currentRound}`);
+    }
+
+    function handlePlayerBuzz(ws, message) {
+        const arrivedAt = clock.now();
+        const session = requireSession(ws, message, 'player');
+        if (!session) return;
+
+        const { gameCode } = message;
+        const { playerId } = session;
+        const game = games.get(gameCode);
+
+        if (!game || !game.players.has(playerId)) {
+            ws.send(JSON.stringify({
+                type: 'BUZZ_RESPONSE',
+                success: false,
+                reason: 'Game not found'
+            }));
+            return;
+        }
+
+        const { teamName } = game.players.get(playerId);
+        const pressTime = resolvePressTime(connections.get(ws), message.pressedAt, arrivedAt);
+        const rejection = game.handleBuzz(playerId, pressTime);
+        const success = rejection === null;
+
+        // Send response to buzzing player
+        ws.send(JSON.stringify({
+            type: 'BUZZ_RESPONSE',
+            playerId: playerId,
+            success: success,
+            code: rejection,
+            reason: success ? 'Buzzed in!' : BUZZ_REJECTIONS[rejection],
+            lockedUntil: game.buzzLockouts[playerId]
+        }));
+
+        if (rejection === 'EARLY_BUZZ') {
+            saveGame(game);
+            sendToHost(gameCode, {
+                type: 'EARLY_BUZZ',
+                playerId: playerId,
+                teamName: teamName,
+                lockedUntil: game.buzzLockouts[playerId]
+            });
+        }
+
+        if (success) {
+            // Host hears about it once the window closes and the order is settled
+            openBuzzWindow(gameCode);
+
+            // Lock out other team members
+            connections.forEach((connInfo, playerWs) => {
+                if (connInfo.gameCode === gameCode && 
+                    connInfo.type === 'player' && 
+                    connInfo.teamName === teamName &&
+                    connInfo.playerId !== playerId) {
+                    playerWs.send(JSON.stringify({
+                        type: 'BUZZ_RESPONSE',
+                        playerId: connInfo.playerId,
+                        success: false,
+                        reason: 'Your teammate beat you to it!'
+                    }));
+                }
+            });
+        }
+    }
+
+    function handleClockSync(ws, message) {
+        if (connections.get(ws)?.type !== 'player') return;
+        startClockSync(ws);
+    }
+
+    function handleClockPong(ws, message) {
+        const sync = connections.get(ws)?.clock;
+        if (!sync || sync.pendingPing === null || message.serverTime !== sync.pendingPing) return;
+        if (typeof message.clientTime !== 'number') return;
+
+        const rtt = clock.now() - sync.pendingPing;
+        sync.samples++;
+
+        // The lowest-latency sample gives the tightest midpoint estimate
+        if (sync.rtt === null || rtt < sync.rtt) {
+            sync.rtt = rtt;
+            sync.offset = message.clientTime - (sync.pendingPing + rtt / 2);
+        }
+        sync.pendingPing = null;
+
+        if (sync.samples < config.clockSyncSamples) {
+            sendClockPing(ws);
+        }
+    }
+
+    function handleClearBuzzers(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        game.openBuzzers();
+        // A sudden-death buzz-off stays one until somebody wins it
+        if (game.phase !== 'sudden-death') changePhase(game, game.roundPhase());
+        if (message.newQuestion) {
+            game.wrongTeams = [];
+        }
+        cancelBuzzWindow(game.gameCode);
+        if (game.timer?.scope === 'buzz') cancelTimer(game);
+        saveGame(game);
+
+        broadcast(message.gameCode, {
+            type: 'CLEAR_BUZZERS',
+            buzzersArmed: game.buzzersArmed
+        }, ws);
+
+        logger.log(`Buzzers cleared for game ${message.gameCode}`);
+    }
+
+    function handleClearPlayerBuzz(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        clearPlayerBuzz(game, message.playerId);
+    }
+
+    // Removes one player's buzz and re-enables their team (unless they're locked out
+    // for a wrong answer). Returns false if they hadn't buzzed.
+    function clearPlayerBuzz(game, playerId, reenableTeam = true) {
+        // Find and remove the specific player from buzzed list
+        const buzzIndex = game.buzzedPlayers.findIndex(buzz => buzz.playerId === playerId);
+        if (buzzIndex === -1) return false;
+
+        const clearedBuzz = game.buzzedPlayers.splice(buzzIndex, 1)[0];
+        if (game.timer?.scope === 'buzz' && game.timer.playerId === playerId) {
+            cancelTimer(game);
+        }
+        saveGame(game);
+
+        // Re-enable buzzer for cleared player's team
+        if (reenableTeam) {
+            sendToTeam(game.gameCode, clearedBuzz.teamName, {
+                type: 'CLEAR_BUZZERS',
+                buzzersArmed: game.buzzersArmed
+            });
+        }
+
+        logger.log(`Cleared buzz for player ${playerId} in game ${game.gameCode}`);
+        return true;
+    }
+
+    function handleArmBuzzers(ws, message, armed) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        game.armBuzzers(armed);
+        changePhase(game, game.roundPhase());
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: armed ? 'BUZZERS_ARMED' : 'BUZZERS_DISARMED',
+            openedAt: armed ? game.buzzOpenedAt : undefined
+        }, ws);
+
+        logger.log(`Buzzers ${armed ? 'armed' : 'disarmed'} for game ${game.gameCode}`);
+    }
+
+    // The buzzing player answered wrong - their buzz is dropped and, if the round
+    // locks out wrong teams, their team can't buzz again until the next question
+    function handleMarkBuzzWrong(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const buzz = game.buzzedPlayers.find(b => b.playerId === message.playerId);
+        if (!buzz) {
+            sendError(ws, 'BUZZ_NOT_FOUND', 'That player has not buzzed in', message.type);
+            return;
+        }
+
+        const lockedOut = game.getBuzzerSettings().lockoutWrongTeams;
+        if (lockedOut && !game.wrongTeams.includes(buzz.teamName)) {
+            game.wrongTeams.push(buzz.teamName);
+        }
+        const team = game.teams.get(buzz.teamName);
+        if (team) team.wrongBuzzes = (team.wrongBuzzes || 0) + 1;
+        game.addToTimeline('buzzWrong', { playerId: buzz.playerId, teamName: buzz.teamName });
+        clearPlayerBuzz(game, buzz.playerId, !lockedOut);
+
+        broadcast(game.gameCode, {
+            type: 'BUZZ_MARKED_WRONG',
+            playerId: buzz.playerId,
+            teamName: buzz.teamName,
+            teamLockedOut: lockedOut,
+            buzzedPlayers: game.buzzedPlayers
+        });
+
+        // Last team standing takes the sudden death
+        if (game.phase === 'sudden-death') {
+            const remaining = game.suddenDeath.contenders.filter(teamName => !game.wrongTeams.includes(teamName));
+            if (remaining.length === 1) settleSuddenDeathWinner(game, remaining[0]);
+        }
+    }
+
+    // Only used in sudden death - the buzzing team answered right and wins
+    function handleMarkBuzzCorrect(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const buzz = game.buzzedPlayers.find(b => b.playerId === message.playerId);
+        if (!buzz) {
+            sendError(ws, 'BUZZ_NOT_FOUND', 'That player has not buzzed in', message.type);
+            return;
+        }
+
+        settleSuddenDeathWinner(game, buzz.teamName);
+    }
+
+    function handleEnableScoring(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        changePhase(game, 'scoring');
+        saveGame(game);
+
+        broadcast(message.gameCode, {
+            type: 'ENABLE_SCORING'
+        }, ws);
+
+        logger.log(`Scoring enabled for game ${message.gameCode}`);
+    }
+
+    function handleCloseScoring(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        closeScoring(game);
+        saveGame(game);
+    }
+
+    // Scoring is over for the round; the game waits in intermission for the next one
+    function closeScoring(game) {
+        changePhase(game, 'intermission');
+        broadcast(game.gameCode, {
+            type: 'SCORING_CLOSED'
+        });
+        logger.log(`Scoring closed for game ${game.gameCode}`);
+    }
+
+    function handleSubmitScore(ws, message) {
+        const session = requireSession(ws, message, 'player');
+        if (!session) return;
+
+        const { gameCode, score, game: gameNum, round } = message;
+        const { playerId } = session;
+        const game = games.get(gameCode);
+
+        if (!game) return;
+
+        const player = game.players.get(playerId);
+        if (!player) return;
+
+        const teamName = player.teamName;
+        const team = game.teams.get(teamName);
+        if (!team) return;
+
+        // Verify player is team manager
+        if (team.manager !== playerId) {
+            sendError(ws, 'NOT_TEAM_MANAGER', 'Only team managers can submit scores', message.type);
+            return;
+        }
+
+        if (!game.format) {
+            sendError(ws, 'GAME_NOT_STARTED', 'Game has not started', message.type);
+            return;
+        }
+
+        if (gameNum !== game.currentGame || round !== game.currentRound) {
+            sendError(ws, 'ROUND_NOT_CURRENT', 'Scores can only be submitted for the current round', message.type);
+            return;
+        }
+
+        if (game.getCurrentRound().type === 'wager') {
+            sendError(ws, 'WAGER_ROUND', 'Wager rounds are scored by the host', message.type);
+            return;
+        }
+
+        if (game.getCurrentRound().scoring === 'host') {
+            sendError(ws, 'HOST_SCORED_ROUND', 'This round is scored by the host - submit an answer instead', message.type);
+            return;
+        }
+
+        const scoreError = validateRoundScore(game.getCurrentRound(), score);
+        if (scoreError) {
+            sendError(ws, 'INVALID_SCORE', scoreError, message.type);
+            return;
+        }
+
+        const roundIndex = game.getRoundIndex(gameNum, round);
+        game.setRoundScore(teamName, roundIndex, score, { role: 'player', id: playerId });
+        saveGame(game);
+
+        // Notify host
+        sendToHost(gameCode, {
+            type: 'SCORE_SUBMITTED',
+            teamName: teamName,
+            score: score,
+            roundIndex: roundIndex,
+            totalScore: team.totalScore,
+            roundScores: team.roundScores
+        });
+
+        // Confirm to player
+        ws.send(JSON.stringify({
+            type: 'SCORE_CONFIRMED',
+            score: score,
+            totalScore: team.totalScore
+        }));
+
+        notifyScoreboard(game);
+
+        logger.log(`Score submitted: ${teamName} - ${score} points (Round ${roundIndex + 1})`);
+    }
+
+    function handleManagerChanged(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const team = game.teams.get(message.teamName);
+        if (!team) return;
+
+        // Only someone on the team can submit its scores
+        if (!team.members.some(member => member.playerId === message.newManagerId)) {
+            sendError(ws, 'PLAYER_NOT_FOUND', `No player ${message.newManagerId} on team ${team.name}`, message.type);
+            return;
+        }
+
+        // Update manager
+        team.manager = message.newManagerId;
+        team.members.forEach(member => {
+            member.isManager = member.playerId === message.newManagerId;
+        });
+        saveGame(game);
+
+        broadcast(message.gameCode, {
+            type: 'MANAGER_CHANGED',
+            teamName: message.teamName,
+            newManagerId: message.newManagerId
+        }, ws);
+
+        logger.log(`Manager changed for team ${message.teamName}`);
+    }
+
+    // Moderation - every change goes out with the full team list so all screens resync
+    function broadcastTeamsChange(game, event) {
+        broadcast(game.gameCode, {
+            ...event,
+            teams: game.getTeamsData()
+        });
+    }
+
+    // With block, neither the player's id nor the addresses they were connected from
+    // can join again. Everyone on the venue's wifi shares an address, so that's for
+    // players joining from elsewhere - LOCK_JOINING keeps out anyone new.
+    function handleKickPlayer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const { playerId } = message;
+        if (!game.players.has(playerId)) {
+            sendError(ws, 'PLAYER_NOT_FOUND', 'Player not found', message.type);
+            return;
+        }
+
+        const playerSockets = Array.from(connections).filter(([, connInfo]) =>
+            connInfo.gameCode === game.gameCode && connInfo.type === 'player' && connInfo.playerId === playerId);
+
+        game.removePlayer(playerId);
+        if (message.block) {
+            const ips = playerSockets.map(([playerWs]) => socketIp(playerWs)).filter(ip => ip !== null);
+            game.blockedPlayers.push({ playerId: playerId, ips: Array.from(new Set(ips)) });
+        }
+        game.addToTimeline('kick', { playerId: playerId });
+        saveGame(game);
+
+        // Unbind first so the kicked sockets close without a PLAYER_DISCONNECTED
+        playerSockets.forEach(([playerWs]) => {
+            connections.delete(playerWs);
+            kickConnection(playerWs, 'Removed by the host');
+        });
+
+        broadcastTeamsChange(game, {
+            type: 'PLAYER_KICKED',
+            playerId: playerId,
+            blocked: Boolean(message.block)
+        });
+
+        logger.log(`Player ${playerId} kicked from game ${game.gameCode}${message.block ? ' and blocked' : ''}`);
+    }
+
+    function handleRenameTeam(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const { teamName } = message;
+        const newName = message.newName.trim();
+
+        if (!game.teams.has(teamName)) {
+            sendError(ws, 'TEAM_NOT_FOUND', 'Team not found', message.type);
+            return;
+        }
+
+        if (game.teams.has(newName)) {
+            sendError(ws, 'TEAM_NAME_TAKEN', `There is already a team called ${newName}`, message.type);
+            return;
+        }
+
+        // Keep the team's season identity under its new name
+        const tournament = tournaments.get(game.tournamentId);
+        if (tournament) {
+            const aliasError = tournament.addAlias(teamName, newName);
+            if (aliasError) {
+                sendError(ws, 'TEAM_NAME_TAKEN', aliasError, message.type);
+                return;
+            }
+            saveTournament(tournament);
+        }
+
+        game.renameTeam(teamName, newName);
+        connections.forEach(connInfo => {
+            if (connInfo.gameCode === game.gameCode && connInfo.teamName === teamName) {
+                connInfo.teamName = newName;
+            }
+        });
+        saveGame(game);
+
+        broadcastTeamsChange(game, {
+            type: 'TEAM_RENAMED',
+            oldName: teamName,
+            newName: newName
+        });
+
+        logger.log(`Team ${teamName} renamed to ${newName} in game ${game.gameCode}`);
+    }
+
+    function handleRenamePlayer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.players.has(message.playerId)) {
+            sendError(ws, 'PLAYER_NOT_FOUND', 'Player not found', message.type);
+            return;
+        }
+
+        game.renamePlayer(message.playerId, message.newName.trim());
+        saveGame(game);
+
+        broadcastTeamsChange(game, {
+            type: 'PLAYER_RENAMED',
+            playerId: message.playerId,
+            name: message.newName.trim()
+        });
+    }
+
+    function handleMovePlayer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const { playerId } = message;
+        const teamName = message.teamName.trim();
+        const player = game.players.get(playerId);
+
+        if (!player) {
+            sendError(ws, 'PLAYER_NOT_FOUND', 'Player not found', message.type);
+            return;
+        }
+
+        if (player.teamName === teamName) return;
+
+        if (game.isTeamFull(teamName)) {
+            sendError(ws, 'TEAM_FULL', `Team ${teamName} is full`, message.type);
+            return;
+        }
+
+        const fromTeam = player.teamName;
+        game.movePlayer(playerId, teamName);
+        game.addToTimeline('move', { playerId: playerId, teamName: teamName });
+        connections.forEach(connInfo => {
+            if (connInfo.gameCode === game.gameCode && connInfo.playerId === playerId) {
+                connInfo.teamName = teamName;
+            }
+        });
+        saveGame(game);
+
+        broadcastTeamsChange(game, {
+            type: 'PLAYER_MOVED',
+            playerId: playerId,
+            fromTeam: fromTeam,
+            toTeam: teamName
+        });
+
+        logger.log(`Player ${playerId} moved from ${fromTeam} to ${teamName} in game ${game.gameCode}`);
+    }
+
+    function handleSetTeamSize(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        // Teams already over the new cap keep their members; they just can't grow
+        game.maxTeamSize = message.maxTeamSize ?? null;
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'TEAM_SIZE_CHANGED',
+            maxTeamSize: game.maxTeamSize
+        });
+    }
+
+    function handleLockJoining(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        game.joinLocked = message.locked;
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'JOINING_LOCK_CHANGED',
+            locked: game.joinLocked
+        });
+
+        logger.log(`Joining ${game.joinLocked ? 'locked' : 'unlocked'} for game ${game.gameCode}`);
+    }
+
+    // Host correction - applies each round that differs from the server's copy.
+    // Totals are always recomputed here; the host's totalScore is ignored.
+    function handleScoreUpdated(ws, message) {
+        const session = requireSession(ws, message, 'host');
+        if (!session) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const team = game.teams.get(message.teamName);
+        if (!team) return;
+
+        if (!Array.isArray(message.scores)) {
+            sendError(ws, 'INVALID_SCORE', 'Scores must be an array', message.type);
+            return;
+        }
+
+        for (let roundIndex = 0; roundIndex < message.scores.length; roundIndex++) {
+            const score = message.scores[roundIndex];
+            if (score === null) continue;
+
+            const round = game.getRoundByIndex(roundIndex);
+            const scoreError = round ? validateRoundScore(round, score) : `Round ${roundIndex + 1} is not in the format`;
+            if (scoreError) {
+                sendError(ws, 'INVALID_SCORE', scoreError, message.type);
+                return;
+            }
+        }
+
+        const changedBy = { role: 'host', id: session.hostId };
+        message.scores.forEach((score, roundIndex) => {
+            game.setRoundScore(team.name, roundIndex, score, changedBy);
+        });
+        saveGame(game);
+
+        notifyScoreChange(game, team);
+    }
+
+    function notifyScoreChange(game, team) {
+        // Notify team members
+        sendToTeam(game.gameCode, team.name, {
+            type: 'SCORE_UPDATED',
+            roundScores: team.roundScores,
+            totalScore: team.totalScore
+        });
+
+        sendToHost(game.gameCode, {
+            type: 'SCORE_UPDATED',
+            teamName: team.name,
+            roundScores: team.roundScores,
+            totalScore: team.totalScore
+        });
+        notifyScoreboard(game);
+
+        // A correction after the reveal changes the final standings and the tournament's copy
+        if (game.phase === 'finished') {
+            broadcast(game.gameCode, {
+                type: 'REVEAL_FINAL_SCORES',
+                standings: game.getStandings(),
+                corrected: true
+            });
+            recordTournamentResults(game);
+        }
+    }
+
+    // Wager rounds - managers bet part of their total in secret, the host locks
+    // the bets in, then marks each team right or wrong and the server applies them
+    function handleSubmitWager(ws, message) {
+        const session = requireSession(ws, message, 'player');
+        if (!session) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const player = game.players.get(session.playerId);
+        const team = player && game.teams.get(player.teamName);
+        if (!team) return;
+
+        if (team.manager !== session.playerId) {
+            sendError(ws, 'NOT_TEAM_MANAGER', 'Only team managers can submit wagers', message.type);
+            return;
+        }
+
+        if (game.getCurrentRound()?.type !== 'wager') {
+            sendError(ws, 'NOT_WAGER_ROUND', 'The current round is not a wager round', message.type);
+            return;
+        }
+
+        const wagerError = game.submitWager(team.name, message.amount, session.playerId);
+        if (wagerError) {
+            sendError(ws, 'INVALID_WAGER', wagerError, message.type);
+            return;
+        }
+        saveGame(game);
+
+        sendToTeam(game.gameCode, team.name, {
+            type: 'WAGER_CONFIRMED',
+            amount: message.amount
+        });
+
+        // Host only learns that a wager is in, not how much
+        sendToHost(game.gameCode, {
+            type: 'WAGER_SUBMITTED',
+            teamName: team.name
+        });
+
+        logger.log(`Wager submitted by ${team.name} in game ${game.gameCode}`);
+    }
+
+    function handleLockWagers(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (game.getCurrentRound()?.type !== 'wager') {
+            sendError(ws, 'NOT_WAGER_ROUND', 'The current round is not a wager round', message.type);
+            return;
+        }
+
+        const lockError = game.lockWagers();
+        if (lockError) {
+            sendError(ws, 'INVALID_WAGER', lockError, message.type);
+            return;
+        }
+        saveGame(game);
+
+        sendToHost(game.gameCode, {
+            type: 'WAGERS_LOCKED',
+            wagers: game.getWagerView(true)
+        });
+
+        const hidden = {
+            type: 'WAGERS_LOCKED',
+            wagers: game.getWagerView(false)
+        };
+        sendToPlayers(game.gameCode, hidden);
+        sendToSpectators(game.gameCode, hidden);
+
+        logger.log(`Wagers locked for game ${game.gameCode}`);
+    }
+
+    function handleResolveWagers(ws, message) {
+        const session = requireSession(ws, message, 'host');
+        if (!session) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (game.getCurrentRound()?.type !== 'wager') {
+            sendError(ws, 'NOT_WAGER_ROUND', 'The current round is not a wager round', message.type);
+            return;
+        }
+
+        if (!Array.isArray(message.results)) {
+            sendError(ws, 'INVALID_WAGER', 'Results must be a list of { teamName, correct }', message.type);
+            return;
+        }
+
+        const results = game.resolveWagers(message.results, { role: 'host', id: session.hostId });
+        if (typeof results === 'string') {
+            sendError(ws, 'INVALID_WAGER', results, message.type);
+            return;
+        }
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'WAGER_RESULTS',
+            results: results
+        });
+        results.forEach(result => notifyScoreChange(game, game.teams.get(result.teamName)));
+
+        logger.log(`Wagers resolved for game ${game.gameCode}`);
+    }
+
+    // Written answers - any team member drafts, the manager locks it in, the host
+    // closes answers (or a closeAnswers timer does) and marks each team's answer
+    function handleDraftAnswer(ws, message) {
+        const session = requireSession(ws, message, 'player');
+        if (!session) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const player = game.players.get(session.playerId);
+        const team = player && game.teams.get(player.teamName);
+        if (!team) return;
+
+        if (!game.isAnswerRound()) {
+            sendError(ws, 'NOT_ANSWER_ROUND', 'The current round does not take answers', message.type);
+            return;
+        }
+
+        const draftError = game.draftAnswer(team.name, message, session.playerId);
+        if (draftError) {
+            sendError(ws, 'INVALID_ANSWER', draftError, message.type);
+            return;
+        }
+        saveGame(game);
+
+        const entry = game.getAnswerSheet().entries[team.name];
+        sendToTeam(game.gameCode, team.name, {
+            type: 'ANSWER_DRAFTED',
+            text: entry.text,
+            choice: entry.choice,
+            draftedBy: session.playerId
+        });
+    }
+
+    function handleLockAnswer(ws, message) {
+        const session = requireSession(ws, message, 'player');
+        if (!session) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const player = game.players.get(session.playerId);
+        const team = player && game.teams.get(player.teamName);
+        if (!team) return;
+
+        if (team.manager !== session.playerId) {
+            sendError(ws, 'NOT_TEAM_MANAGER', 'Only team managers can lock in answers', message.type);
+            return;
+        }
+
+        if (!game.isAnswerRound()) {
+            sendError(ws, 'NOT_ANSWER_ROUND', 'The current round does not take answers', message.type);
+            return;
+        }
+
+        const lockError = game.lockAnswer(team.name, session.playerId);
+        if (lockError) {
+            sendError(ws, 'INVALID_ANSWER', lockError, message.type);
+            return;
+        }
+        saveGame(game);
+
+        const entry = game.getAnswerSheet().entries[team.name];
+        sendToTeam(game.gameCode, team.name, {
+            type: 'ANSWER_LOCKED',
+            teamName: team.name,
+            text: entry.text,
+            choice: entry.choice
+        });
+
+        sendToHost(game.gameCode, {
+            type: 'ANSWER_LOCKED',
+            teamName: team.name,
+            text: entry.text,
+            choice: entry.choice
+        });
+
+        sendToSpectators(game.gameCode, {
+            type: 'ANSWER_LOCKED',
+            teamName: team.name
+        });
+
+        logger.log(`Answer locked in by ${team.name} in game ${game.gameCode}`);
+    }
+
+    // The host gets every answer side by side; everyone else just learns answers are closed
+    function notifyAnswersClosed(game) {
+        sendToHost(game.gameCode, {
+            type: 'ANSWERS_CLOSED',
+            answers: game.getAnswerView(true)
+        });
+
+        const hidden = {
+            type: 'ANSWERS_CLOSED',
+            answers: game.getAnswerView(false)
+        };
+        sendToPlayers(game.gameCode, hidden);
+        sendToSpectators(game.gameCode, hidden);
+    }
+
+    function handleCloseAnswers(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.isAnswerRound()) {
+            sendError(ws, 'NOT_ANSWER_ROUND', 'The current round does not take answers', message.type);
+            return;
+        }
+
+        const closeError = game.closeAnswers();
+        if (closeError) {
+            sendError(ws, 'INVALID_ANSWER', closeError, message.type);
+            return;
+        }
+        if (game.timer?.onExpire === 'closeAnswers') cancelTimer(game);
+        saveGame(game);
 
-// Enable CORS for all routes
-app.use(cors({
-    origin: true,
-    credentials: true
-}));
+        notifyAnswersClosed(game);
+        logger.log(`Answers closed for game ${game.gameCode}`);
+    }
 
-const oneHour = 60 * 60 * 1000; // 1 hour in milliseconds
+    function handleMarkAnswers(ws, message) {
+        const session = requireSession(ws, message, 'host');
+        if (!session) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
 
-app.use(express.json());
-app.use(express.static('public'));
-
-// WebSocket Server
-const wss = new WebSocket.Server({ server });
-
-// Game State Management
-const games = new Map(); // gameCode -> gameState
-const connections = new Map(); // ws -> connectionInfo
-
-class GameState {
-    constructor(gameCode, hostId) {
-        this.gameCode = gameCode;
-        this.hostId = hostId;
-        this.hostConnection = null;
-        this.currentGame = 1;
-        this.currentRound = 1;
-        this.games = [];
-        this.teams = new Map();
-        this.players = new Map();
-        this.buzzedPlayers = [];
-        this.scoringEnabled = false;
-        this.gameStarted = false;
-        this.gameEnded = false;
-        this.createdAt = Date.now();
-    }
-
-    addPlayer(playerId, playerData) {
-        this.players.set(playerId, playerData);
-        
-        // Add to team
-        if (!this.teams.has(playerData.teamName)) {
-            this.teams.set(playerData.teamName, {
-                name: playerData.teamName,
-                members: [],
-                totalScore: 0,
-                roundScores: [],
-                manager: null
-            });
-        }
-
-        const team = this.teams.get(playerData.teamName);
-        
-        // Check if player already in team (rejoin case)
-        const existingMember = team.members.find(m => m.playerId === playerId);
-        if (!existingMember) {
-            team.members.push({
-                playerId: playerId,
-                name: playerData.name,
-                isManager: playerData.isManager || team.members.length === 0
-            });
+        if (!game.isAnswerRound()) {
+            sendError(ws, 'NOT_ANSWER_ROUND', 'The current round does not take answers', message.type);
+            return;
         }
 
-        // Set manager if this is first player or explicitly marked as manager
-        if (playerData.isManager || !team.manager) {
-            team.manager = playerId;
-            team.members.forEach(member => {
-                member.isManager = member.playerId === playerId;
-            });
+        const results = game.markAnswers(message.results, { role: 'host', id: session.hostId }, message.questionId);
+        if (typeof results === 'string') {
+            sendError(ws, 'INVALID_ANSWER', results, message.type);
+            return;
         }
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'ANSWERS_MARKED',
+            questionId: message.questionId ?? game.getCurrentQuestion()?.id ?? null,
+            results: results
+        });
+        results.forEach(result => notifyScoreChange(game, game.teams.get(result.teamName)));
+
+        logger.log(`Answers marked for game ${game.gameCode}`);
     }
 
-    removePlayer(playerId) {
-        const player = this.players.get(playerId);
-        if (player && this.teams.has(player.teamName)) {
-            const team = this.teams.get(player.teamName);
-            team.members = team.members.filter(m => m.playerId !== playerId);
-            
-            // If manager left, assign new manager
-            if (team.manager === playerId && team.members.length > 0) {
-                team.manager = team.members[0].playerId;
-                team.members[0].isManager = true;
-            }
+    // Question flow - the host uploads a pack, selects a question privately,
+    // then reveals the question and later its answer to everyone
+    function handleUploadQuestions(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
 
-            // Remove team if empty
-            if (team.members.length === 0) {
-                this.teams.delete(player.teamName);
-            }
+        const { questions, errors } = parseQuestionPack(message);
+        if (errors.length) {
+            sendError(ws, 'INVALID_QUESTIONS', `Invalid question pack: ${errors.slice(0, 10).join('; ')}`, message.type);
+            return;
         }
-        
-        this.players.delete(playerId);
-        this.buzzedPlayers = this.buzzedPlayers.filter(b => b.playerId !== playerId);
+
+        game.questions = questions;
+        game.currentQuestionIndex = -1;
+        game.questionRevealed = false;
+        game.answerRevealed = false;
+        saveGame(game);
+
+        sendToHost(game.gameCode, {
+            type: 'QUESTIONS_UPLOADED',
+            count: questions.length,
+            questions: questions
+        });
+
+        logger.log(`Uploaded ${questions.length} questions to game ${game.gameCode}`);
     }
 
-    handleBuzz(playerId) {
-        const player = this.players.get(playerId);
-        if (!player || !this.gameStarted) return false;
+    function handleNextQuestion(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        // Jump to a specific question, otherwise move to the next one
+        const index = message.questionId !== undefined ?
+            game.questions.findIndex(question => question.id === message.questionId) :
+            game.currentQuestionIndex + 1;
+
+        if (index < 0 || index >= game.questions.length) {
+            sendError(ws, 'QUESTION_NOT_FOUND', 'No such question in the pack', message.type);
+            return;
+        }
+
+        game.currentQuestionIndex = index;
+        game.questionRevealed = false;
+        game.answerRevealed = false;
+        game.wrongTeams = [];
+        saveGame(game);
 
-        // Check if player or teammate already buzzed
-        const teamHasBuzzed = this.buzzedPlayers.some(b => {
-            const buzzedPlayer = this.players.get(b.playerId);
-            return buzzedPlayer && buzzedPlayer.teamName === player.teamName;
+        sendToHost(game.gameCode, {
+            type: 'QUESTION_SELECTED',
+            index: index,
+            total: game.questions.length,
+            question: game.getCurrentQuestion()
         });
+    }
+
+    function handleRevealQuestion(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.getCurrentQuestion()) {
+            sendError(ws, 'QUESTION_NOT_FOUND', 'Select a question first', message.type);
+            return;
+        }
+
+        // Buzzers reopen with the new question so reaction times start from the reveal
+        game.questionRevealed = true;
+        game.openBuzzers();
+        changePhase(game, game.roundPhase());
+        cancelBuzzWindow(game.gameCode);
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'CLEAR_BUZZERS',
+            buzzersArmed: game.buzzersArmed
+        }, ws);
+
+        broadcast(game.gameCode, {
+            type: 'QUESTION_REVEALED',
+            index: game.currentQuestionIndex,
+            question: game.getRevealedQuestion()
+        }, ws);
+
+        logger.log(`Question ${game.getCurrentQuestion().id} revealed in game ${game.gameCode}`);
+    }
+
+    function handleRevealAnswer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const question = game.getCurrentQuestion();
+        if (!question || !game.questionRevealed) {
+            sendError(ws, 'QUESTION_NOT_REVEALED', 'Reveal the question before its answer', message.type);
+            return;
+        }
+
+        game.answerRevealed = true;
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'ANSWER_REVEALED',
+            questionId: question.id,
+            answer: question.answer
+        }, ws);
+    }
+
+    function handleStartTimer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const { durationMs } = message;
+        const scope = message.scope || 'round';
+        const onExpire = message.onExpire || null;
+
+        if (!Number.isInteger(durationMs) || durationMs < 1000 || durationMs > oneHour) {
+            sendError(ws, 'INVALID_TIMER', 'Timer duration must be between 1 second and 1 hour', message.type);
+            return;
+        }
+
+        if (!TIMER_SCOPES.includes(scope) || (onExpire !== null && !TIMER_ACTIONS.includes(onExpire))) {
+            sendError(ws, 'INVALID_TIMER', `Timer scope must be ${TIMER_SCOPES.join('/')} and onExpire ${TIMER_ACTIONS.join('/')}`, message.type);
+            return;
+        }
 
-        if (teamHasBuzzed) return false;
+        // A buzz timer belongs to whoever is answering right now
+        const playerId = scope === 'buzz' ? game.buzzedPlayers[0]?.playerId : null;
+        if (scope === 'buzz' && !playerId) {
+            sendError(ws, 'INVALID_TIMER', 'Nobody has buzzed in', message.type);
+            return;
+        }
 
-        const buzzData = {
+        game.timer = {
+            scope: scope,
             playerId: playerId,
-            playerName: player.name,
-            teamName: player.teamName,
-            timestamp: Date.now()
+            durationMs: durationMs,
+            remainingMs: durationMs,
+            endsAt: clock.now() + durationMs,
+            paused: false,
+            onExpire: onExpire
         };
+        runCountdown(game);
+        saveGame(game);
 
-        this.buzzedPlayers.push(buzzData);
-        return true;
+        broadcast(game.gameCode, {
+            type: 'TIMER_STARTED',
+            timer: game.getTimerView()
+        });
+
+        logger.log(`Timer started in game ${game.gameCode}: ${durationMs}ms (${scope})`);
     }
 
-    getTeamsData() {
-        const teamsArray = [];
-        this.teams.forEach(team => {
-            teamsArray.push({
-                name: team.name,
-                members: team.members,
-                totalScore: team.totalScore,
-                roundScores: team.roundScores
-            });
+    function handlePauseTimer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.timer || game.timer.paused) {
+            sendError(ws, 'INVALID_TIMER', 'No running timer', message.type);
+            return;
+        }
+
+        stopCountdown(game.gameCode);
+        game.timer.remainingMs = Math.max(0, game.timer.endsAt - clock.now());
+        game.timer.paused = true;
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'TIMER_PAUSED',
+            timer: game.getTimerView()
         });
-        return teamsArray;
     }
-}
 
-// Utility Functions
-function generateGameCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-}
+    function handleResumeTimer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.timer || !game.timer.paused) {
+            sendError(ws, 'INVALID_TIMER', 'No paused timer', message.type);
+            return;
+        }
+
+        game.timer.endsAt = clock.now() + game.timer.remainingMs;
+        game.timer.paused = false;
+        runCountdown(game);
+        saveGame(game);
 
-function broadcast(gameCode, message, excludeConnection = null) {
-    const game = games.get(gameCode);
-    if (!game) return;
+        broadcast(game.gameCode, {
+            type: 'TIMER_RESUMED',
+            timer: game.getTimerView()
+        });
+    }
 
-    connections.forEach((connInfo, ws) => {
-        if (ws === excludeConnection) return;
-        if (connInfo.gameCode === gameCode && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(message));
+    function handleCancelTimer(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        if (!game.timer) {
+            sendError(ws, 'INVALID_TIMER', 'No timer to cancel', message.type);
+            return;
         }
-    });
-}
 
-function sendToHost(gameCode, message) {
-    const game = games.get(gameCode);
-    if (game && game.hostConnection && game.hostConnection.readyState === WebSocket.OPEN) {
-        game.hostConnection.send(JSON.stringify(message));
+        cancelTimer(game);
+        saveGame(game);
+    }
+
+    function handleGetScoreHistory(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const entries = message.teamName ?
+            game.scoreLog.filter(entry => entry.teamName === message.teamName) :
+            game.scoreLog;
+
+        ws.send(JSON.stringify({
+            type: 'SCORE_HISTORY',
+            entries: entries
+        }));
     }
-}
 
-function sendToPlayer(gameCode, playerId, message) {
-    connections.forEach((connInfo, ws) => {
-        if (connInfo.gameCode === gameCode && 
-            connInfo.playerId === playerId && 
-            ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(message));
+    function handleUndoScoreChange(ws, message) {
+        const session = requireSession(ws, message, 'host');
+        if (!session) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        const result = game.undoScoreChange(message.entryId, { role: 'host', id: session.hostId });
+        if (typeof result === 'string') {
+            sendError(ws, 'UNDO_FAILED', result, message.type);
+            return;
         }
-    });
-}
+        saveGame(game);
 
-// WebSocket Connection Handling
-wss.on('connection', (ws) => {
-    console.log('New WebSocket connection');
-    
-    ws.on('message', (data) => {
-        try {
-            const message = JSON.parse(data);
-            handleMessage(ws, message);
-        } catch (error) {
-            console.error('Error parsing message:', error);
-            ws.send(JSON.stringify({
-                type: 'ERROR',
-                message: 'Invalid message format'
-            }));
+        sendToHost(game.gameCode, {
+            type: 'SCORE_CHANGE_UNDONE',
+            entry: result
+        });
+        notifyScoreChange(game, game.teams.get(result.teamName));
+
+        logger.log(`Score change ${message.entryId} undone in game ${message.gameCode}`);
+    }
+
+    // The server ranks the teams itself. A tie for first that the format settles
+    // by sudden death is played out before anything is revealed.
+    function handleRevealFinalScores(ws, message) {
+        if (!requireSession(ws, message, 'host')) return;
+        const game = games.get(message.gameCode);
+        if (!game) return;
+
+        // Revealing during the buzz-off calls it off - the contenders share first place
+        if (game.phase === 'sudden-death') {
+            settleSuddenDeathWinner(game, null);
+            return;
         }
-    });
 
-    ws.on('close', () => {
-        handleDisconnection(ws);
-    });
+        cancelTimer(game);
+        const standings = game.getStandings();
+        const contenders = tiedForFirst(standings);
+        if (contenders.length > 1 && game.format?.tieBreakers?.includes('suddenDeath')) {
+            startSuddenDeath(game, contenders, standings);
+            return;
+        }
+
+        revealFinalScores(game);
+    }
+
+    function startSuddenDeath(game, contenders, standings) {
+        cancelBuzzWindow(game.gameCode);
+        game.suddenDeath = { contenders: contenders, winner: null };
+        changePhase(game, 'sudden-death');
+        game.wrongTeams = [];
+        game.openBuzzers();
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'SUDDEN_DEATH_STARTED',
+            contenders: contenders,
+            standings: standings
+        });
+
+        logger.log(`Sudden death between ${contenders.join(', ')} in game ${game.gameCode}`);
+    }
+
+    // teamName is null when the host ends it without a winner
+    function settleSuddenDeathWinner(game, teamName) {
+        cancelBuzzWindow(game.gameCode);
+        game.suddenDeath.winner = teamName;
+        game.buzzedPlayers = [];
+        game.pendingBuzzes = [];
+        revealFinalScores(game);
+    }
+
+    function revealFinalScores(game) {
+        changePhase(game, 'finished');
+        saveGame(game);
+
+        broadcast(game.gameCode, {
+            type: 'REVEAL_FINAL_SCORES',
+            standings: game.getStandings()
+        });
+        recordTournamentResults(game);
+
+        logger.log(`Final scores revealed for game ${game.gameCode}`);
+    }
+
+    function handleLeaveGame(ws, message) {
+        const session = requireSession(ws, message, 'player');
+        if (!session) return;
+
+        const game = games.get(message.gameCode);
+        if (game) {
+            game.removePlayer(session.playerId);
+            game.addToTimeline('leave', { playerId: session.playerId });
+            saveGame(game);
 
-    ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
+            // Notify host
+            sendToHost(message.gameCode, {
+                type: 'PLAYER_LEFT',
+                playerId: session.playerId,
+                teams: game.getTeamsData()
+            });
+            notifyScoreboard(game);
+        }
+
+        connections.delete(ws);
+        logger.log(`Player left game ${message.gameCode}`);
+    }
+
+    function handlePlayerDisconnect(ws, message) {
         handleDisconnection(ws);
-    });
-});
-
-function handleMessage(ws, message) {
-    console.log('Received message:', message.type);
-
-    switch (message.type) {
-        case 'CREATE_GAME':
-            handleCreateGame(ws, message);
-            break;
-
-        case 'JOIN_GAME':
-            handleJoinGame(ws, message);
-            break;
-
-        case 'REJOIN_GAME':
-            handleRejoinGame(ws, message);
-            break;
-
-        case 'GAME_STARTED':
-            handleGameStarted(ws, message);
-            break;
-
-        case 'ROUND_UPDATE':
-            handleRoundUpdate(ws, message);
-            break;
-
-        case 'PLAYER_BUZZ':
-            handlePlayerBuzz(ws, message);
-            break;
-
-        case 'CLEAR_BUZZERS':
-            handleClearBuzzers(ws, message);
-            break;
-
-        case 'CLEAR_PLAYER_BUZZ':
-            handleClearPlayerBuzz(ws, message);
-            break;
-
-        case 'ENABLE_SCORING':
-            handleEnableScoring(ws, message);
-            break;
-
-        case 'SUBMIT_SCORE':
-            handleSubmitScore(ws, message);
-            break;
-
-        case 'MANAGER_CHANGED':
-            handleManagerChanged(ws, message);
-            break;
-            
-        case 'SCORE_UPDATED':
-            handleScoreUpdated(ws, message);
-            break;
-
-        case 'REVEAL_FINAL_SCORES':
-            handleRevealFinalScores(ws, message);
-            break;
-
-        case 'LEAVE_GAME':
-            handleLeaveGame(ws, message);
-            break;
-
-        case 'PLAYER_DISCONNECT':
-            handlePlayerDisconnect(ws, message);
-            break;
-
-        case 'GET_TEAMS':
-            handleGetTeams(ws, message);
-            break;
-            
-        default:
-            ws.send(JSON.stringify({
-                type: 'ERROR',
-                message: 'Unknown message type'
-            }));
     }
-}
 
-function handleCreateGame(ws, message) {
-    let gameCode = message.gameCode || generateGameCode();
-    
-    // Ensure unique game code for new games
-    while (games.has(gameCode)) {
-        gameCode = generateGameCode();
+    function handleDisconnection(ws) {
+        const connInfo = connections.get(ws);
+        if (!connInfo) return;
+
+        // The game may be gone already (deleted by an admin or cleaned up)
+        const game = games.get(connInfo.gameCode);
+        if (!game) {
+            connections.delete(ws);
+            return;
+        }
+
+        if (connInfo.type === 'host') {
+            connections.delete(ws);
+            logger.log(`Host ${connInfo.hostId} disconnected from game ${connInfo.gameCode}`);
+
+            if (hostConnections(connInfo.gameCode).length) {
+                notifyHostsChanged(game);
+                return;
+            }
+
+            // Last host gone - notify all players
+            const hostGone = { type: 'HOST_DISCONNECTED' };
+            sendToPlayers(connInfo.gameCode, hostGone);
+            sendToSpectators(connInfo.gameCode, hostGone);
+
+            // Clean up the game unless a host rejoins within the grace period
+            scheduleHostCleanup(connInfo.gameCode);
+
+        } else if (connInfo.type === 'player') {
+            // Player disconnected - remove from buzz list but keep in team
+            game.dropBuzz(connInfo.playerId);
+
+            const player = game.players.get(connInfo.playerId);
+            game.addToTimeline('disconnect', { playerId: connInfo.playerId });
+            if (player) {
+                player.online = false;
+                player.lastSeen = clock.now();
+                if (game.teams.get(player.teamName)?.manager === connInfo.playerId) {
+                    scheduleManagerHandover(game, connInfo.playerId);
+                }
+            }
+            saveGame(game);
+
+            // Notify host
+            sendToHost(connInfo.gameCode, {
+                type: 'PLAYER_DISCONNECTED',
+                playerId: connInfo.playerId,
+                lastSeen: player?.lastSeen ?? null,
+                teams: game.getTeamsData()
+            });
+
+            logger.log(`Player disconnected from game ${connInfo.gameCode}`);
+        }
+
+        connections.delete(ws);
     }
 
-    const gameState = new GameState(gameCode, message.hostId);
-    gameState.hostConnection = ws;
-    games.set(gameCode, gameState);
+    function handleGetTeams(ws, message) {
+        const game = games.get(message.gameCode);
+        if (!game) {
+            recordFailedJoin(ws);
+            sendError(ws, 'GAME_NOT_FOUND', 'Game not found', message.type);
+            return;
+        }
 
-    connections.set(ws, {
-        type: 'host',
-        gameCode: gameCode,
-        hostId: message.hostId
-    });
+        // Convert teams Map to array format expected by client
+        const teamsArray = [];
+        game.teams.forEach(team => {
+            teamsArray.push({
+                name: team.name,
+                members: team.members.length
+            });
+        });
 
-    ws.send(JSON.stringify({
-        type: 'GAME_CREATED',
-        gameCode: gameCode,
-        restored: false
-    }));
+        ws.send(JSON.stringify({
+            type: 'TEAMS_LIST',
+            teams: teamsArray,
+            joinLocked: game.joinLocked,
+            maxTeamSize: game.maxTeamSize
+        }));
 
-    console.log(`Game created: ${gameCode}`);
-}
+        logger.log(`Sent teams list for game ${message.gameCode}: ${teamsArray.length} teams`);
+    }
 
-function handleJoinGame(ws, message) {
-    const { gameCode, playerId, playerName, teamName, isManager } = message;
-    const game = games.get(gameCode);
+    // Season standings are public, like the teams list
+    function handleGetTournament(ws, message) {
+        const tournament = tournaments.get(message.tournamentId);
+        if (!tournament) {
+            sendError(ws, 'TOURNAMENT_NOT_FOUND', 'Tournament not found', message.type);
+            return;
+        }
 
-    if (!game) {
         ws.send(JSON.stringify({
-            type: 'ERROR',
-            message: 'Game not found'
+            type: 'TOURNAMENT_STANDINGS',
+            standings: tournament.getStandings()
         }));
-        return;
     }
 
-    // Add player to game
-    game.addPlayer(playerId, {
-        name: playerName,
-        teamName: teamName,
-        isManager: isManager,
-        connection: ws
+    // HTTP Routes
+    app.get('/', (req, res) => {
+        res.send(`
+            <h1>Get in the Game Show - Server</h1>
+            <p>WebSocket server is running!</p>
+            <p>Active games: ${games.size}</p>
+            <p>Active connections: ${connections.size}</p>
+        `);
     });
 
-    connections.set(ws, {
-        type: 'player',
-        gameCode: gameCode,
-        playerId: playerId,
-        teamName: teamName
+    app.get('/api/health', (req, res) => {
+        res.json({
+            status: 'OK',
+            activeGames: games.size,
+            activeConnections: connections.size,
+            uptime: process.uptime()
+        });
     });
 
-    // Confirm join to player
-    ws.send(JSON.stringify({
-        type: 'GAME_JOINED',
-        gameCode: gameCode,
-        gameStarted: game.gameStarted,
-        currentGame: game.currentGame,
-        currentRound: game.currentRound,
-        games: game.games,
-        teams: game.getTeamsData(),
-        buzzedPlayers: game.buzzedPlayers,
-        restored: true
-    }));
+    // Admin API - for ops dashboards and post-show reporting, guarded by ADMIN_API_KEY
+    function requireAdmin(req, res, next) {
+        if (!config.adminApiKey) {
+            res.status(503).json({ error: 'Admin API disabled - set ADMIN_API_KEY to enable it' });
+            return;
+        }
 
-    // Notify host of new player
-    sendToHost(gameCode, {
-        type: 'PLAYER_JOINED',
-        playerId: playerId,
-        playerName: playerName,
-        teamName: teamName,
-        isManager: isManager,
-        teams: Array.from(game.teams.values())
-    });
+        const header = req.get('authorization') || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key');
+        const expected = Buffer.from(config.adminApiKey);
+        const actual = Buffer.from(provided || '');
 
-    console.log(`Player ${playerName} joined game ${gameCode} on team ${teamName}`);
-}
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            res.status(401).json({ error: 'Invalid admin API key' });
+            return;
+        }
+        next();
+    }
 
-function handleRejoinGame(ws, message) {
-    // Same as join game - server handles rejoins the same way
-    handleJoinGame(ws, message);
-}
+    function findGame(req, res, next) {
+        req.game = games.get(req.params.gameCode);
+        if (!req.game) {
+            res.status(404).json({ error: 'Game not found' });
+            return;
+        }
+        next();
+    }
 
-function handleGameStarted(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
-
-    game.gameStarted = true;
-    game.games = message.games;
-    game.currentGame = message.currentGame;
-    game.currentRound = message.currentRound;
-  
-    broadcast(message.gameCode, {
-        type: 'GAME_STARTED',
-        games: message.games,
-        currentGame: message.currentGame,
-        currentRound: message.currentRound
-    }, ws);
-
-    console.log(`Game ${message.gameCode} started`);
-}
+    function csvEscape(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-function handleRoundUpdate(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
-
-    game.currentGame = message.currentGame;
-    game.currentRound = message.currentRound;
-    game.scoringEnabled = false;
-  
-    broadcast(message.gameCode, {
-        type: 'ROUND_UPDATE',
-        currentGame: message.currentGame,
-        currentRound: message.currentRound
-    }, ws);
-
-    console.log(`Game ${message.gameCode} updated to Game ${message.currentGame}, Round ${message.currentRound}`);
-}
+    function resultsToCsv(results) {
+        const header = ['Rank', 'Team', 'Total', ...results.rounds.map(round => `G${round.game} ${round.name}`), 'Members'];
+        const rows = results.teams.map(team => [
+            team.rank,
+            team.name,
+            team.totalScore,
+            ...team.roundScores,
+            team.members.join('; ')
+        ]);
 
-function handlePlayerBuzz(ws, message) {
-    const { gameCode, playerId, playerName, teamName } = message;
-    const game = games.get(gameCode);
-    
-    if (!game) {
-        ws.send(JSON.stringify({
-            type: 'BUZZ_RESPONSE',
-            success: false,
-            reason: 'Game not found'
-        }));
-        return;
+        return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
     }
 
-    const success = game.handleBuzz(playerId);
-    
-    // Send response to buzzing player
-    ws.send(JSON.stringify({
-        type: 'BUZZ_RESPONSE',
-        playerId: playerId,
-        success: success,
-        reason: success ? 'Buzzed in!' : 'Team already buzzed or game not started'
-    }));
+    function gameReport(game) {
+        return buildReport({
+            gameCode: game.gameCode,
+            createdAt: game.createdAt,
+            timeline: game.timeline,
+            results: game.getResults()
+        }, clock.now());
+    }
 
-    if (success) {
-        // Notify host
-        sendToHost(gameCode, {
-            type: 'PLAYER_BUZZED',
-            playerId: playerId,
-            playerName: playerName,
-            teamName: teamName,
-            timestamp: Date.now()
+    app.get('/api/games', requireAdmin, (req, res) => {
+        const list = [];
+        games.forEach(game => {
+            list.push({
+                gameCode: game.gameCode,
+                createdAt: game.createdAt,
+                hostConnected: hostConnections(game.gameCode).length > 0,
+                phase: game.phase,
+                gameStarted: game.gameStarted,
+                gameEnded: game.gameEnded,
+                currentGame: game.currentGame,
+                currentRound: game.currentRound,
+                teams: game.teams.size,
+                players: game.players.size
+            });
         });
+        res.json({ games: list });
+    });
 
-        // Lock out other team members
-        connections.forEach((connInfo, playerWs) => {
-            if (connInfo.gameCode === gameCode && 
-                connInfo.type === 'player' && 
-                connInfo.teamName === teamName &&
-                connInfo.playerId !== playerId) {
-                playerWs.send(JSON.stringify({
-                    type: 'BUZZ_RESPONSE',
-                    playerId: connInfo.playerId,
-                    success: false,
-                    reason: 'Your teammate beat you to it!'
-                }));
-            }
+    app.get('/api/games/:gameCode', requireAdmin, findGame, (req, res) => {
+        res.json({
+            gameCode: req.game.gameCode,
+            createdAt: req.game.createdAt,
+            hostConnected: hostConnections(req.game.gameCode).length > 0,
+            ...req.game.getHostSnapshot(),
+            scoreLog: req.game.scoreLog
         });
-    }
-}
+    });
 
-function handleClearBuzzers(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
+    app.post('/api/games/:gameCode/end', requireAdmin, findGame, (req, res) => {
+        const game = req.game;
 
-    game.buzzedPlayers = [];
+        cancelTimer(game);
+        changePhase(game, 'finished');
+        saveGame(game);
 
-    broadcast(message.gameCode, {
-        type: 'CLEAR_BUZZERS'
-    }, ws);
+        broadcast(game.gameCode, {
+            type: 'GAME_ENDED',
+            reason: 'Ended by an administrator',
+            results: game.getResults()
+        });
+        recordTournamentResults(game);
 
-    console.log(`Buzzers cleared for game ${message.gameCode}`);
-}
+        logger.log(`Game ${game.gameCode} force-ended via admin API`);
+        res.json(game.getResults());
+    });
 
-function handleClearPlayerBuzz(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
-    
-    const { playerId } = message;
-    
-    // Find and remove the specific player from buzzed list
-    const buzzIndex = game.buzzedPlayers.findIndex(buzz => buzz.playerId === playerId);
-    if (buzzIndex !== -1) {
-        const clearedBuzz = game.buzzedPlayers.splice(buzzIndex, 1)[0];
-      
-        // Re-enable buzzer for cleared player's team
-        connections.forEach((connInfo, playerWs) => {
-            if (connInfo.gameCode === message.gameCode && 
-                connInfo.type === 'player' && 
-                connInfo.teamName === clearedBuzz.teamName) {
-                playerWs.send(JSON.stringify({
-                    type: 'CLEAR_BUZZERS'
-                }));
-            }
+    app.delete('/api/games/:gameCode', requireAdmin, findGame, (req, res) => {
+        const { gameCode } = req.game;
+
+        broadcast(gameCode, {
+            type: 'GAME_DELETED',
+            reason: 'Deleted by an administrator'
         });
-        
-        console.log(`Cleared buzz for player ${playerId} in game ${message.gameCode}`);
-    }
-}
+        deleteGame(gameCode);
 
-function handleEnableScoring(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
+        logger.log(`Game ${gameCode} deleted via admin API`);
+        res.status(204).end();
+    });
 
-    game.scoringEnabled = true;
+    app.get('/api/games/:gameCode/results.json', requireAdmin, findGame, (req, res) => {
+        res.attachment(`results-${req.game.gameCode}.json`);
+        res.json(req.game.getResults());
+    });
 
-    broadcast(message.gameCode, {
-        type: 'ENABLE_SCORING'
-    }, ws);
+    app.get('/api/games/:gameCode/results.csv', requireAdmin, findGame, (req, res) => {
+        res.attachment(`results-${req.game.gameCode}.csv`);
+        res.type('text/csv');
+        res.send(resultsToCsv(req.game.getResults()));
+    });
 
-    console.log(`Scoring enabled for game ${message.gameCode}`);
-}
+    // Post-show report from the game's timeline - JSON for tooling, or a standalone HTML page
+    app.get('/api/games/:gameCode/report.json', requireAdmin, findGame, (req, res) => {
+        res.attachment(`report-${req.game.gameCode}.json`);
+        res.json(gameReport(req.game));
+    });
 
-function handleSubmitScore(ws, message) {
-    const { gameCode, playerId, teamName, score, game: gameNum, round } = message;
-    const game = games.get(gameCode);
-    
-    if (!game) return;
+    app.get('/api/games/:gameCode/report.html', requireAdmin, findGame, (req, res) => {
+        res.attachment(`report-${req.game.gameCode}.html`);
+        res.type('html');
+        res.send(renderReportHtml(gameReport(req.game)));
+    });
 
-    const team = game.teams.get(teamName);
-    if (!team) return;
+    app.get('/api/connections', requireAdmin, (req, res) => {
+        const list = [];
+        sockets.forEach((socket, ws) => {
+            const connInfo = connections.get(ws);
+            list.push({
+                id: socket.id,
+                ip: socket.ip,
+                connectedAt: socket.connectedAt,
+                type: connInfo?.type || null,
+                gameCode: connInfo?.gameCode || null,
+                playerId: connInfo?.playerId || null
+            });
+        });
+        res.json({ connections: list });
+    });
 
-    // Verify player is team manager
-    const player = game.players.get(playerId);
-    if (!player || team.manager !== playerId) {
-        ws.send(JSON.stringify({
-            type: 'ERROR',
-            message: 'Only team managers can submit scores'
-        }));
-        return;
-    }
+    app.post('/api/connections/:id/kick', requireAdmin, (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        const entry = Array.from(sockets.entries()).find(([, socket]) => socket.id === id);
+        if (!entry) {
+            res.status(404).json({ error: 'Connection not found' });
+            return;
+        }
+
+        kickConnection(entry[0], req.body?.reason || 'Removed by an administrator');
+        res.status(204).end();
+    });
+
+    app.get('/api/bans', requireAdmin, (req, res) => {
+        const list = [];
+        bans.forEach((expiresAt, ip) => {
+            if (isBanned(ip)) list.push({ ip: ip, expiresAt: expiresAt });
+        });
+        res.json({ bans: list });
+    });
 
-    // Calculate round index based on current position in game
-    let roundIndex = 0;
-    for (let g = 1; g < gameNum; g++) {
-        if (game.games[g-1]) {
-            roundIndex += parseInt(game.games[g-1][1]);
+    app.post('/api/bans', requireAdmin, (req, res) => {
+        const { ip, durationMs = config.banDuration, reason = 'Banned by an administrator' } = req.body || {};
+        if (typeof ip !== 'string' || !ip || !Number.isInteger(durationMs) || durationMs <= 0) {
+            res.status(400).json({ error: 'Provide an ip and a positive durationMs' });
+            return;
         }
-    }
-    roundIndex += (round - 1);
 
-    // Initialize roundScores array if needed
-    if (!team.roundScores) {
-        team.roundScores = [];
-    }
+        banIp(ip, durationMs, reason);
+        res.status(201).json({ ip: ip, expiresAt: bans.get(ip) });
+    });
+
+    app.delete('/api/bans/:ip', requireAdmin, (req, res) => {
+        bans.delete(req.params.ip);
+        res.status(204).end();
+    });
+
+    // Tournaments - created and managed through the admin API; standings are public
+    const TOURNAMENT_ID = /^[A-Za-z0-9_-]{1,64}$/;
 
-    // Set score
-    team.roundScores[roundIndex] = score;
-    team.totalScore = team.roundScores.reduce((sum, s) => sum + (s || 0), 0);
+    function findTournament(req, res, next) {
+        req.tournament = tournaments.get(req.params.tournamentId);
+        if (!req.tournament) {
+            res.status(404).json({ error: 'Tournament not found' });
+            return;
+        }
+        next();
+    }
 
-    // Notify host
-    sendToHost(gameCode, {
-        type: 'SCORE_SUBMITTED',
-        teamName: teamName,
-        score: score,
-        roundIndex: roundIndex,
-        totalScore: team.totalScore,
-        roundScores: team.roundScores
+    app.get('/api/tournaments', requireAdmin, (req, res) => {
+        const list = [];
+        tournaments.forEach(tournament => {
+            list.push({
+                tournamentId: tournament.tournamentId,
+                name: tournament.name,
+                createdAt: tournament.createdAt,
+                games: tournament.games.length,
+                teams: tournament.teams.size
+            });
+        });
+        res.json({ tournaments: list });
     });
 
-    // Confirm to player
-    ws.send(JSON.stringify({
-        type: 'SCORE_CONFIRMED',
-        score: score,
-        totalScore: team.totalScore
-    }));
+    app.post('/api/tournaments', requireAdmin, (req, res) => {
+        const { name, tournamentId = crypto.randomBytes(4).toString('hex') } = req.body || {};
+        if (typeof name !== 'string' || !name.trim() || typeof tournamentId !== 'string' || !TOURNAMENT_ID.test(tournamentId)) {
+            res.status(400).json({ error: 'Provide a name and optionally a tournamentId of letters, digits, - and _' });
+            return;
+        }
 
-    console.log(`Score submitted: ${teamName} - ${score} points (Round ${roundIndex + 1})`);
-}
+        if (tournaments.has(tournamentId)) {
+            res.status(409).json({ error: 'Tournament already exists' });
+            return;
+        }
 
-function handleManagerChanged(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
+        const tournament = new Tournament(tournamentId, name.trim(), () => clock.now());
+        tournaments.set(tournamentId, tournament);
+        saveTournament(tournament);
 
-    const team = game.teams.get(message.teamName);
-    if (!team) return;
+        logger.log(`Tournament ${tournamentId} created via admin API`);
+        res.status(201).json(tournament.getStandings());
+    });
 
-    // Update manager
-    team.manager = message.newManagerId;
-    team.members.forEach(member => {
-        member.isManager = member.playerId === message.newManagerId;
+    app.get('/api/tournaments/:tournamentId', findTournament, (req, res) => {
+        res.json(req.tournament.getStandings());
     });
 
-    broadcast(message.gameCode, {
-        type: 'MANAGER_CHANGED',
-        teamName: message.teamName,
-        newManagerId: message.newManagerId
-    }, ws);
+    // A token for CREATE_GAME's tournamentToken - hand it to the hosts running the
+    // season's shows. It works for any number of games until it expires.
+    app.post('/api/tournaments/:tournamentId/entry-token', requireAdmin, findTournament, (req, res) => {
+        res.status(201).json({
+            tournamentId: req.tournament.tournamentId,
+            token: sessions.issue({ role: 'tournamentEntry', tournamentId: req.tournament.tournamentId }),
+            expiresAt: clock.now() + config.tournamentTokenTtl
+        });
+    });
 
-    console.log(`Manager changed for team ${message.teamName}`);
-}
+    // Brings a game that is already running into the tournament
+    app.post('/api/tournaments/:tournamentId/games', requireAdmin, findTournament, (req, res) => {
+        const game = games.get(req.body?.gameCode);
+        if (!game) {
+            res.status(404).json({ error: 'Game not found' });
+            return;
+        }
 
-function handleScoreUpdated(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
-
-    const team = game.teams.get(message.teamName);
-    if (!team) return;
-
-    team.roundScores = message.scores;
-    team.totalScore = message.totalScore;
-
-    // Notify team members
-    connections.forEach((connInfo, playerWs) => {
-        if (connInfo.gameCode === message.gameCode && 
-            connInfo.type === 'player' && 
-            connInfo.teamName === message.teamName) {
-            playerWs.send(JSON.stringify({
-                type: 'SCORE_UPDATED',
-                roundScores: message.scores,
-                totalScore: message.totalScore
-            }));
+        if (game.tournamentId && game.tournamentId !== req.tournament.tournamentId) {
+            res.status(409).json({ error: `Game is already part of tournament ${game.tournamentId}` });
+            return;
         }
-    });
-}
 
-function handleRevealFinalScores(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game || connections.get(ws)?.type !== 'host') return;
+        game.tournamentId = req.tournament.tournamentId;
+        req.tournament.addGame(game.gameCode);
+        saveGame(game);
+        if (game.gameEnded) {
+            recordTournamentResults(game);
+        } else {
+            saveTournament(req.tournament);
+        }
 
-    game.gameEnded = true;
+        res.json(req.tournament.getStandings());
+    });
 
-    broadcast(message.gameCode, {
-        type: 'REVEAL_FINAL_SCORES',
-        standings: message.standings
-    }, ws);
+    app.post('/api/tournaments/:tournamentId/teams/:teamId/merge', requireAdmin, findTournament, (req, res) => {
+        const error = req.tournament.mergeTeams(req.params.teamId, req.body?.teamId);
+        if (error) {
+            res.status(400).json({ error: error });
+            return;
+        }
 
-    console.log(`Final scores revealed for game ${message.gameCode}`);
-}
+        saveTournament(req.tournament);
+        res.json(req.tournament.getStandings());
+    });
 
-function handleLeaveGame(ws, message) {
-    const connInfo = connections.get(ws);
-    if (!connInfo) return;
+    app.delete('/api/tournaments/:tournamentId', requireAdmin, findTournament, (req, res) => {
+        const { tournamentId } = req.tournament;
 
-    const game = games.get(message.gameCode);
-    if (game) {
-        game.removePlayer(message.playerId);
-        
-        // Notify host
-        sendToHost(message.gameCode, {
-            type: 'PLAYER_LEFT',
-            playerId: message.playerId,
-            teams: Array.from(game.teams.values())
+        tournaments.delete(tournamentId);
+        games.forEach(game => {
+            if (game.tournamentId === tournamentId) {
+                game.tournamentId = null;
+                saveGame(game);
+            }
         });
-    }
+        try {
+            tournamentStorage.remove(tournamentId);
+        } catch (error) {
+            logger.error(`Error removing saved tournament ${tournamentId}:`, error);
+        }
 
-    connections.delete(ws);
-    console.log(`Player left game ${message.gameCode}`);
-}
+        logger.log(`Tournament ${tournamentId} deleted via admin API`);
+        res.status(204).end();
+    });
 
-function handlePlayerDisconnect(ws, message) {
-    handleDisconnection(ws);
-}
+    // Game cleanup - remove old games every hour
+    function cleanupOldGames() {
+        const now = clock.now();
 
-function handleDisconnection(ws) {
-    const connInfo = connections.get(ws);
-    if (!connInfo) return;
-
-    const game = games.get(connInfo.gameCode);
-    if (!game) return;
-
-    if (connInfo.type === 'host') {
-        // Host disconnected - notify all players
-        broadcast(connInfo.gameCode, {
-            type: 'HOST_DISCONNECTED'
-        });
-        console.log(`Host disconnected from game ${connInfo.gameCode}`);
-        
-        // Optionally clean up game after some time
-        setTimeout(() => {
-            games.delete(connInfo.gameCode);
-            console.log(`Game ${connInfo.gameCode} cleaned up`);
-        }, 300000); // 5 minutes
-        
-    } else if (connInfo.type === 'player') {
-        // Player disconnected - remove from buzz list but keep in team
-        game.buzzedPlayers = game.buzzedPlayers.filter(b => b.playerId !== connInfo.playerId);
-        
-        // Notify host
-        sendToHost(connInfo.gameCode, {
-            type: 'PLAYER_DISCONNECTED',
-            playerId: connInfo.playerId
+        games.forEach((game, gameCode) => {
+            if (now - game.createdAt > oneHour) {
+                // A show that ran out of time still counts towards its tournament
+                if (game.gameStarted && !game.gameEnded) {
+                    recordTournamentResults(game);
+                }
+                deleteGame(gameCode);
+                logger.log(`Cleaned up old game: ${gameCode}`);
+            }
         });
-        
-        console.log(`Player disconnected from game ${connInfo.gameCode}`);
     }
 
-    connections.delete(ws);
-}
+    const intervals = [];
 
-function handleGetTeams(ws, message) {
-    const game = games.get(message.gameCode);
-    if (!game) {
-        ws.send(JSON.stringify({
-            type: 'ERROR',
-            message: 'Game not found'
-        }));
-        return;
+    // Restores saved state, starts the housekeeping timers and binds the port.
+    // Resolves with the bound port, which is handy when asking for port 0.
+    async function listen(port) {
+        await pubsub.subscribe(instanceChannel(config.instanceId), handleInstanceMessage);
+        restoreTournaments();
+        await restoreGames();
+
+        intervals.push(
+            clock.setInterval(cleanupOldGames, oneHour),
+            clock.setInterval(checkHeartbeats, config.heartbeatInterval),
+            clock.setInterval(renewOwnership, config.ownershipTtl / 3)
+        );
+
+        await new Promise(resolve => server.listen(port, resolve));
+        logger.log(`🎮 Get in the Game Show Server running on port ${server.address().port}`);
+        logger.log(`WebSocket ready for connections!`);
+        logger.log(`Instance ${config.instanceId} using ${config.pubsub} pub/sub`);
+        return server.address().port;
     }
 
-    // Convert teams Map to array format expected by client
-    const teamsArray = [];
-    game.teams.forEach(team => {
-        teamsArray.push({
-            name: team.name,
-            members: team.members.length
+    // Stops everything listen() and the games started, leaving saved snapshots alone
+    async function close() {
+        intervals.forEach(interval => clock.clearInterval(interval));
+        intervals.length = 0;
+
+        // Disconnections schedule host cleanups and manager handovers, so let them run first
+        await Promise.all(Array.from(wss.clients, ws => new Promise(resolve => {
+            ws.once('close', resolve);
+            ws.terminate();
+        })));
+        await new Promise(resolve => wss.close(resolve));
+
+        games.forEach((game, gameCode) => {
+            cancelHostCleanup(gameCode);
+            cancelBuzzWindow(gameCode);
+            stopCountdown(gameCode);
+            cancelManagerHandovers(gameCode);
         });
-    });
+        if (server.listening) {
+            await new Promise(resolve => server.close(resolve));
+        }
 
-    ws.send(JSON.stringify({
-        type: 'TEAMS_LIST',
-        teams: teamsArray
-    }));
+        // Hand our games back so the next instance (a new id, unless INSTANCE_ID is
+        // set) can restore them straight away rather than after the claims lapse
+        await Promise.all(Array.from(games.keys(), gameCode => pubsub.release(gameCode, config.instanceId).catch(error => {
+            logger.error(`Error releasing game ${gameCode}:`, error);
+        })));
+        // A pub/sub passed in may be shared with other servers
+        if (!options.pubsub) {
+            await pubsub.close();
+        }
+    }
 
-    console.log(`Sent teams list for game ${message.gameCode}: ${teamsArray.length} teams`);
+    return {
+        app,
+        server,
+        wss,
+        config,
+        games,
+        tournaments,
+        listen,
+        close
+    };
 }
 
-// HTTP Routes
-app.get('/', (req, res) => {
-    res.send(`
-        <h1>Get in the Game Show - Server</h1>
-        <p>WebSocket server is running!</p>
-        <p>Active games: ${games.size}</p>
-        <p>Active connections: ${connections.size}</p>
-    `);
-});
-
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'OK',
-        activeGames: games.size,
-        activeConnections: connections.size,
-        uptime: process.uptime()
-    });
-});
-
-// Game cleanup - remove old games every hour
-setInterval(() => {
-    const now = Date.now();
-    const oneHour = 60 * 60 * 1000;
-    
-    games.forEach((game, gameCode) => {
-        if (now - game.createdAt > oneHour) {
-            games.delete(gameCode);
-            console.log(`Cleaned up old game: ${gameCode}`);
-        }
+if (require.main === module) {
+    const PORT = process.env.PORT || 3000;
+
+    createServer().listen(PORT).catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
     });
-}, oneHour);
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`🎮 Get in the Game Show Server running on port ${PORT}`);
-    console.log(`WebSocket ready for connections!`);
-});
+module.exports = {
+    createServer
+};
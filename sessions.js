@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// Issues and verifies HMAC-signed session tokens of the form "<payload>.<signature>".
+// Tokens are stateless, so any process sharing the secret can verify them.
+class SessionManager {
+    constructor(secret, ttl, now = Date.now) {
+        this.secret = secret;
+        this.ttl = ttl;
+        this.now = now;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    issue(claims) {
+        const payload = Buffer.from(JSON.stringify({
+            ...claims,
+            issuedAt: this.now()
+        })).toString('base64url');
+
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // Returns the token's claims, or null if it is malformed, forged or expired.
+    // Short-lived tokens (invites and the like) pass their own ttl.
+    verify(token, ttl = this.ttl) {
+        if (typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (this.now() - claims.issuedAt > ttl) return null;
+            return claims;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    SessionManager
+};
@@ -0,0 +1,93 @@
+// Final standings - the official ranking, worked out by the server from the
+// teams' scores. Teams are ordered by total score; teams level on points go
+// through the game format's tie-breakers in order until one separates them.
+//
+//   lastRound          more points in the last round anyone scored in
+//   fewestWrongBuzzes  fewer buzzes the host marked wrong over the game
+//   suddenDeath        a buzz-off between the teams tied for first, run by the
+//                      server - it only settles the winner, so it comes last
+//
+// Teams still level after every tie-breaker share a rank and are flagged tied.
+
+const TIE_BREAKERS = ['lastRound', 'fewestWrongBuzzes', 'suddenDeath'];
+
+// Higher is better. Sudden death is played out, not computed, so has no key.
+const TIE_BREAK_KEYS = {
+    lastRound: team => team.lastRoundScore,
+    fewestWrongBuzzes: team => -team.wrongBuzzes
+};
+
+// Consecutive teams with the same key, as groups
+function groupBy(teams, key) {
+    const groups = [];
+    teams.forEach(team => {
+        const last = groups[groups.length - 1];
+        if (last && key(last[0]) === key(team)) {
+            last.push(team);
+        } else {
+            groups.push([team]);
+        }
+    });
+    return groups;
+}
+
+// Splits teams level on points into ordered groups, as far as the tie-breakers
+// go. Each team remembers the tie-breaker that first set it apart.
+function breakTie(group, tieBreakers) {
+    const [rule, ...rest] = tieBreakers;
+    if (group.length === 1 || !rule) return [group];
+
+    const key = TIE_BREAK_KEYS[rule];
+    if (!key) return breakTie(group, rest);
+
+    const groups = groupBy([...group].sort((a, b) => key(b) - key(a)), key);
+    if (groups.length === 1) return breakTie(group, rest);
+
+    return groups.flatMap(tied => breakTie(tied.map(team => ({ ...team, decidedBy: team.decidedBy || rule })), rest));
+}
+
+// teams: [{ name, totalScore, lastRoundScore, wrongBuzzes }]
+// Returns [{ rank, teamName, totalScore, tied, decidedBy }], best first
+function computeStandings(teams, tieBreakers = []) {
+    const byScore = groupBy([...teams].sort((a, b) => b.totalScore - a.totalScore), team => team.totalScore);
+
+    let position = 1;
+    return byScore.flatMap(level => breakTie(level, tieBreakers)).flatMap(group => {
+        const rank = position;
+        position += group.length;
+        return group.map(team => ({
+            rank: rank,
+            teamName: team.name,
+            totalScore: team.totalScore,
+            tied: group.length > 1,
+            decidedBy: team.decidedBy || null
+        }));
+    });
+}
+
+// Teams sharing first place, when there's more than one
+function tiedForFirst(standings) {
+    return standings.filter(row => row.rank === 1 && row.tied).map(row => row.teamName);
+}
+
+// Puts the sudden-death winner first; the teams it beat share second place.
+// Standings where the winner is no longer tied for first (the scores were
+// corrected since) are returned as they are.
+function settleSuddenDeath(standings, winner) {
+    const contenders = tiedForFirst(standings);
+    if (!contenders.includes(winner)) return standings;
+
+    return standings.map(row => {
+        if (!contenders.includes(row.teamName)) return row;
+        return row.teamName === winner
+            ? { ...row, tied: false, decidedBy: 'suddenDeath' }
+            : { ...row, rank: 2, tied: contenders.length > 2, decidedBy: 'suddenDeath' };
+    }).sort((a, b) => a.rank - b.rank);
+}
+
+module.exports = {
+    TIE_BREAKERS,
+    computeStandings,
+    tiedForFirst,
+    settleSuddenDeath
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+// Game codes come straight from clients, so only allow safe file names
+const SAFE_KEY = /^[A-Za-z0-9_-]+$/;
+
+// Keeps snapshots in process memory - nothing survives a restart
+class MemoryStorage {
+    constructor() {
+        this.snapshots = new Map(); // gameCode -> serialized snapshot
+    }
+
+    loadAll() {
+        return Array.from(this.snapshots.values()).map(data => JSON.parse(data));
+    }
+
+    save(gameCode, snapshot) {
+        this.snapshots.set(gameCode, JSON.stringify(snapshot));
+    }
+
+    remove(gameCode) {
+        this.snapshots.delete(gameCode);
+    }
+}
+
+// Writes one JSON file per game into a directory
+class FileStorage {
+    constructor(directory, logger = console) {
+        this.directory = directory;
+        this.logger = logger;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    fileFor(gameCode) {
+        if (!SAFE_KEY.test(gameCode)) {
+            throw new Error(`Invalid storage key: ${gameCode}`);
+        }
+        return path.join(this.directory, `${gameCode}.json`);
+    }
+
+    loadAll() {
+        const snapshots = [];
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    const data = fs.readFileSync(path.join(this.directory, file), 'utf8');
+                    snapshots.push(JSON.parse(data));
+                } catch (error) {
+                    this.logger.error(`Skipping unreadable snapshot ${file}:`, error.message);
+                }
+            });
+        return snapshots;
+    }
+
+    save(gameCode, snapshot) {
+        const file = this.fileFor(gameCode);
+        const tempFile = `${file}.tmp`;
+
+        // Write then rename so a crash mid-write never leaves a truncated snapshot
+        fs.writeFileSync(tempFile, JSON.stringify(snapshot));
+        fs.renameSync(tempFile, file);
+    }
+
+    remove(gameCode) {
+        try {
+            fs.unlinkSync(this.fileFor(gameCode));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+function createStorage(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryStorage();
+
+        case 'file':
+            return new FileStorage(options.directory, options.logger);
+
+        default:
+            throw new Error(`Unknown storage type: ${type}`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    MemoryStorage,
+    FileStorage
+};
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const { startServer, expectAll } = require('./harness');
+
+test('a press from before the buzzers armed is early, even if it arrives after', async t => {
+    const server = await startServer({ config: { clockSyncSamples: 1 } });
+    t.after(() => server.close());
+
+    const host = await server.connect('host');
+    host.send('CREATE_GAME', { hostId: 'host-1' });
+    await host.expect('GAME_CREATED');
+
+    const ann = await server.connect('Ann', { holdClockPings: true });
+    ann.send('JOIN_GAME', { gameCode: host.gameCode, playerId: 'ann', playerName: 'Ann', teamName: 'Tigers' });
+    await ann.expect('GAME_JOINED');
+    await host.expect('PLAYER_JOINED');
+
+    // A 100ms round trip with clocks in step
+    const ping = await ann.expect('CLOCK_PING');
+    server.clock.advance(100);
+    ann.answerClockPing(ping, ping.serverTime + 50);
+
+    const format = { games: [{ rounds: [{ buzzer: { arming: 'manual', earlyBuzzPenaltyMs: 500 } }] }] };
+    host.send('GAME_STARTED', { format: format });
+    await expectAll([host, ann], 'PHASE_CHANGED', { phase: 'in-round' });
+    await ann.expect('GAME_STARTED', { buzzersArmed: false });
+
+    host.send('ARM_BUZZERS');
+    await expectAll([host, ann], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await ann.expect('BUZZERS_ARMED');
+
+    // Pressed 60ms before arming - within the round trip, so the press time stands
+    ann.send('PLAYER_BUZZ', { pressedAt: server.clock.now() - 60 });
+    await ann.expect('BUZZ_RESPONSE', { success: false, code: 'EARLY_BUZZ', lockedUntil: server.clock.now() + 500 });
+    await host.expect('EARLY_BUZZ', { playerId: 'ann' });
+
+    for (const client of [host, ann]) {
+        await client.expectNothing();
+    }
+});
@@ -0,0 +1,253 @@
+// Test harness - runs a real server in-process on a random port with a fake
+// clock and in-memory storage, and gives each simulated host, player or
+// spectator a client that must account for every message it receives.
+
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createServer } = require('../server');
+const { MemoryStorage } = require('../storage');
+
+const REPLY_TIMEOUT = 2000; // real milliseconds to wait for a message before failing
+
+// Time only moves when a test says so. Timers fire in deadline order during advance().
+class FakeClock {
+    constructor(start = Date.UTC(2024, 0, 1)) {
+        this.time = start;
+        this.timers = new Map(); // handle -> { at, callback, interval }
+        this.nextHandle = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms) {
+        const handle = this.nextHandle++;
+        this.timers.set(handle, { at: this.time + Math.max(0, ms), callback: callback, interval: null });
+        return handle;
+    }
+
+    clearTimeout(handle) {
+        this.timers.delete(handle);
+    }
+
+    setInterval(callback, ms) {
+        const handle = this.nextHandle++;
+        this.timers.set(handle, { at: this.time + ms, callback: callback, interval: ms });
+        return handle;
+    }
+
+    clearInterval(handle) {
+        this.timers.delete(handle);
+    }
+
+    advance(ms) {
+        const target = this.time + ms;
+        for (;;) {
+            const due = Array.from(this.timers.entries())
+                .filter(([, timer]) => timer.at <= target)
+                .sort((a, b) => a[1].at - b[1].at)[0];
+            if (!due) break;
+
+            const [handle, timer] = due;
+            this.time = timer.at;
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                this.timers.delete(handle);
+            }
+            timer.callback();
+        }
+        this.time = target;
+    }
+}
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+class TestClient {
+    // holdClockPings leaves CLOCK_PING in the inbox, for tests that answer it
+    // themselves to fake a round trip. headers go with the upgrade request.
+    constructor(url, clock, name, { holdClockPings = false, headers = {} } = {}) {
+        this.name = name;
+        this.clock = clock;
+        this.holdClockPings = holdClockPings;
+        this.ws = new WebSocket(url, { headers: headers });
+        this.inbox = [];
+        this.waiting = null;
+        this.gameCode = null;
+        this.sessionToken = null;
+        this.eventEpoch = null;
+        this.lastSeq = 0; // for resuming with REJOIN_GAME / REJOIN_HOST
+
+        this.ws.on('message', data => {
+            const message = JSON.parse(data);
+
+            // Clock sync is plumbing, not part of any script - answer it straight away
+            if (message.type === 'CLOCK_PING' && !this.holdClockPings) {
+                this.answerClockPing(message, this.clock.now());
+                return;
+            }
+
+            this.inbox.push(message);
+            if (this.waiting) this.waiting();
+        });
+        this.opened = new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+    }
+
+    answerClockPing(ping, clientTime) {
+        this.ws.send(JSON.stringify({ type: 'CLOCK_PONG', serverTime: ping.serverTime, clientTime: clientTime }));
+    }
+
+    // Fills in the game code and session token this client was last given
+    send(type, fields = {}) {
+        this.ws.send(JSON.stringify({
+            type: type,
+            gameCode: this.gameCode ?? undefined,
+            sessionToken: this.sessionToken ?? undefined,
+            ...fields
+        }));
+    }
+
+    async next() {
+        if (!this.inbox.length) {
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    this.waiting = null;
+                    reject(new Error(`${this.name}: no message within ${REPLY_TIMEOUT}ms`));
+                }, REPLY_TIMEOUT);
+                this.waiting = () => {
+                    clearTimeout(timeout);
+                    this.waiting = null;
+                    resolve();
+                };
+            });
+        }
+        return this.inbox.shift();
+    }
+
+    // The next message must be `type`, and any `fields` given must match exactly
+    async expect(type, fields = {}) {
+        const message = await this.next();
+        assert.equal(message.type, type, `${this.name} expected ${type}, got ${JSON.stringify(message)}`);
+        for (const [key, value] of Object.entries(fields)) {
+            assert.deepEqual(message[key], value, `${this.name}: ${type}.${key}`);
+        }
+
+        if (message.sessionToken) this.sessionToken = message.sessionToken;
+        if (message.gameCode) this.gameCode = message.gameCode;
+        if (message.eventEpoch) this.eventEpoch = message.eventEpoch;
+        if (message.seq !== undefined) this.lastSeq = message.seq;
+        return message;
+    }
+
+    async expectError(code, fields = {}) {
+        return this.expect('ERROR', { code: code, ...fields });
+    }
+
+    // Nothing left unread, after giving in-flight messages a moment to land
+    async expectNothing() {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepEqual(this.inbox.map(message => message.type), [], `${this.name} has unread messages`);
+    }
+
+    close() {
+        this.ws.terminate();
+    }
+}
+
+// Starts a server on a free port. Options go to createServer; `config` is merged
+// over test defaults that keep rate limits out of the way.
+async function startServer(options = {}) {
+    const clock = options.clock || new FakeClock();
+    let nextCode = 100000;
+
+    const instance = createServer({
+        clock: clock,
+        storage: new MemoryStorage(),
+        tournamentStorage: new MemoryStorage(),
+        logger: silentLogger,
+        generateGameCode: () => String(nextCode++),
+        ...options,
+        config: {
+            sessionSecret: 'test-secret',
+            instanceId: 'test',
+            connectionMessageBurst: 1000,
+            ipMessageBurst: 10000,
+            ...options.config
+        }
+    });
+    const port = await instance.listen(0);
+    const clients = [];
+    let closing = null;
+
+    return {
+        instance: instance,
+        clock: clock,
+        url: `ws://localhost:${port}`,
+
+        async connect(name, clientOptions) {
+            const client = new TestClient(`ws://localhost:${port}`, clock, name, clientOptions);
+            clients.push(client);
+            await client.opened;
+            return client;
+        },
+
+        // Safe to call more than once, so tests can register it before anything can fail
+        close() {
+            if (!closing) {
+                clients.forEach(client => client.close());
+                closing = instance.close();
+            }
+            return closing;
+        }
+    };
+}
+
+// The same next message for every client, e.g. a broadcast
+async function expectAll(clients, type, fields = {}) {
+    for (const client of clients) {
+        await client.expect(type, fields);
+    }
+}
+
+// A host with a created game and teams of joined players, every join message
+// already checked. teams: { teamName: [playerName, ...] } - the first player
+// on each team is its manager.
+async function setUpShow(server, teams) {
+    const host = await server.connect('host');
+    host.send('CREATE_GAME', { hostId: 'host-1' });
+    await host.expect('GAME_CREATED', { restored: false });
+
+    const players = {};
+    for (const [teamName, names] of Object.entries(teams)) {
+        for (const [i, playerName] of names.entries()) {
+            const player = await server.connect(playerName);
+            player.send('JOIN_GAME', {
+                gameCode: host.gameCode,
+                playerId: playerName.toLowerCase(),
+                playerName: playerName,
+                teamName: teamName,
+                isManager: i === 0
+            });
+            await player.expect('GAME_JOINED', { playerId: playerName.toLowerCase(), gameStarted: false });
+            await host.expect('PLAYER_JOINED', {
+                playerId: playerName.toLowerCase(),
+                teamName: teamName,
+                isManager: i === 0
+            });
+            players[playerName] = player;
+        }
+    }
+    return { host, players };
+}
+
+module.exports = {
+    FakeClock,
+    TestClient,
+    startServer,
+    expectAll,
+    setUpShow
+};
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, expectAll, setUpShow } = require('./harness');
+
+test('the post-show report covers buzzing, scores and attendance', async t => {
+    const server = await startServer({ config: { adminApiKey: 'admin-key' } });
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'], Lions: ['Cat'] });
+    const { Ann, Cat } = players;
+
+    host.send('GAME_STARTED', { games: [['Pub night', 2]] });
+    await expectAll([host, Ann, Cat], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll([Ann, Cat], 'GAME_STARTED');
+
+    server.clock.advance(300);
+    Cat.send('PLAYER_BUZZ');
+    await Cat.expect('BUZZ_RESPONSE', { success: true });
+    server.clock.advance(100);
+    Ann.send('PLAYER_BUZZ');
+    await Ann.expect('BUZZ_RESPONSE', { success: true });
+    server.clock.advance(150);
+    await host.expect('PLAYER_BUZZED', { playerId: 'cat', reactionTime: 300 });
+    await host.expect('PLAYER_BUZZED', { playerId: 'ann', reactionTime: 400 });
+    await expectAll([host, Ann, Cat], 'BUZZ_ORDER');
+
+    host.send('MARK_BUZZ_WRONG', { playerId: 'cat' });
+    await Cat.expect('CLEAR_BUZZERS');
+    await expectAll([host, Ann, Cat], 'BUZZ_MARKED_WRONG', { playerId: 'cat' });
+
+    // The Lions lead, then the Tigers overtake them
+    host.send('SCORE_UPDATED', { teamName: 'Lions', scores: [3] });
+    await host.expect('SCORE_UPDATED', { teamName: 'Lions' });
+    await Cat.expect('SCORE_UPDATED');
+    host.send('SCORE_UPDATED', { teamName: 'Tigers', scores: [5] });
+    await host.expect('SCORE_UPDATED', { teamName: 'Tigers' });
+    await Ann.expect('SCORE_UPDATED');
+
+    Cat.close();
+    await host.expect('PLAYER_DISCONNECTED', { playerId: 'cat' });
+    server.clock.advance(1000);
+
+    const url = `${server.url.replace('ws:', 'http:')}/api/games/${host.gameCode}/report`;
+    const headers = { authorization: 'Bearer admin-key' };
+
+    const report = await (await fetch(`${url}.json`, { headers })).json();
+    assert.deepEqual(report.buzzing.players.map(({ playerId, buzzes, firstPlaceBuzzes, wrongBuzzes, averageReactionTime }) =>
+        ({ playerId, buzzes, firstPlaceBuzzes, wrongBuzzes, averageReactionTime })), [
+        { playerId: 'ann', buzzes: 1, firstPlaceBuzzes: 0, wrongBuzzes: 0, averageReactionTime: 400 },
+        { playerId: 'cat', buzzes: 1, firstPlaceBuzzes: 1, wrongBuzzes: 1, averageReactionTime: 300 }
+    ]);
+    assert.deepEqual(report.leadChanges.map(change => [change.previousLeader, change.teamName]),
+        [[null, 'Lions'], ['Lions', 'Tigers']]);
+    assert.deepEqual(report.rounds.map(round => round.leaders), [['Tigers'], ['Tigers']]);
+    assert.deepEqual(report.attendance.players.map(({ playerId, connectedMs }) => ({ playerId, connectedMs })), [
+        { playerId: 'ann', connectedMs: 1550 },
+        { playerId: 'cat', connectedMs: 550 }
+    ]);
+    assert.equal(report.attendance.peakOnline, 2);
+
+    const page = await fetch(`${url}.html`, { headers });
+    assert.match(page.headers.get('content-type'), /^text\/html/);
+    assert.match(await page.text(), /<td>Tigers<\/td><td>1<\/td><td>0<\/td><td>0<\/td><td>400 ms<\/td>/);
+
+    for (const client of [host, Ann]) {
+        await client.expectNothing();
+    }
+});
@@ -0,0 +1,242 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer, expectAll, setUpShow, FakeClock } = require('./harness');
+const { MemoryStorage } = require('../storage');
+const { MemoryPubSub } = require('../pubsub');
+
+test('game codes come from the injected generator', async t => {
+    const server = await startServer({ generateGameCode: () => 'TESTCODE' });
+    t.after(() => server.close());
+
+    const host = await server.connect('host');
+    host.send('CREATE_GAME', { hostId: 'host-1' });
+    await host.expect('GAME_CREATED', { gameCode: 'TESTCODE' });
+});
+
+test('a restarted server picks games up from its storage', async t => {
+    const storage = new MemoryStorage();
+    const clock = new FakeClock();
+
+    const first = await startServer({ storage, clock });
+    t.after(() => first.close());
+    const { host, players } = await setUpShow(first, { Tigers: ['Ann'] });
+    host.send('GAME_STARTED', { games: [['Pub night', 2]], currentGame: 1, currentRound: 1 });
+    await players.Ann.expect('PHASE_CHANGED', { phase: 'buzz-open' });
+    await players.Ann.expect('GAME_STARTED');
+    await first.close();
+
+    const second = await startServer({ storage, clock });
+    t.after(() => second.close());
+
+    const returning = await second.connect('host again');
+    returning.send('REJOIN_HOST', { gameCode: host.gameCode, sessionToken: host.sessionToken });
+    const rejoined = await returning.expect('HOST_REJOINED', { phase: 'buzz-open', gameStarted: true, role: 'lead' });
+    assert.deepEqual(rejoined.teams.map(team => team.name), ['Tigers']);
+    assert.equal(rejoined.teams[0].members[0].online, false);
+});
+
+test('a restarted instance with a new id gets its games back', async t => {
+    const storage = new MemoryStorage();
+    const clock = new FakeClock();
+    const pubsub = new MemoryPubSub(() => clock.now());
+    const config = { ownershipTtl: 9000 };
+
+    // A clean stop hands the games over straight away
+    const first = await startServer({ storage, clock, pubsub, config: { ...config, instanceId: 'first' } });
+    t.after(() => first.close());
+    const { host } = await setUpShow(first, { Tigers: ['Ann'] });
+    await first.close();
+
+    const second = await startServer({ storage, clock, pubsub, config: { ...config, instanceId: 'second' } });
+    t.after(() => second.close());
+    assert.ok(second.instance.games.has(host.gameCode));
+    await second.close();
+
+    // After a crash the old claim has to run out first
+    await pubsub.claim(host.gameCode, 'second', config.ownershipTtl);
+    const third = await startServer({ storage, clock, pubsub, config: { ...config, instanceId: 'third' } });
+    t.after(() => third.close());
+    assert.ok(!third.instance.games.has(host.gameCode));
+
+    for (let i = 0; i < 4; i++) {
+        clock.advance(3000);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const returning = await third.connect('host again');
+    returning.send('REJOIN_HOST', { gameCode: host.gameCode, sessionToken: host.sessionToken });
+    await returning.expect('HOST_REJOINED', { role: 'lead' });
+});
+
+test('the host grace period runs on the injected clock', async t => {
+    const server = await startServer({ config: { hostGracePeriod: 60 * 1000 } });
+    t.after(() => server.close());
+
+    const { host } = await setUpShow(server, { Tigers: ['Ann'] });
+    const { gameCode } = host;
+    host.close();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    server.clock.advance(59 * 1000);
+    assert.ok(server.instance.games.has(gameCode));
+    server.clock.advance(1000);
+    assert.ok(!server.instance.games.has(gameCode));
+});
+
+test('sockets of a deleted game stop counting as connections once they close', async t => {
+    const server = await startServer({ config: { adminApiKey: 'admin-key' } });
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'] });
+    const api = server.url.replace('ws:', 'http:');
+    await fetch(`${api}/api/games/${host.gameCode}`, { method: 'DELETE', headers: { authorization: 'Bearer admin-key' } });
+    await expectAll([host, players.Ann], 'GAME_DELETED');
+
+    host.close();
+    players.Ann.close();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const health = await (await fetch(`${api}/api/health`)).json();
+    assert.equal(health.activeConnections, 0);
+});
+
+test('close() leaves no timers behind', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+    const { host } = await setUpShow(server, { Tigers: ['Ann'] });
+
+    host.send('GAME_STARTED', { games: [['Pub night', 1]] });
+    await host.expect('PHASE_CHANGED', { phase: 'buzz-open' });
+    host.send('START_TIMER', { durationMs: 30 * 1000 });
+    await host.expect('TIMER_STARTED');
+    assert.ok(server.clock.timers.size > 0);
+
+    await server.close();
+    assert.equal(server.clock.timers.size, 0);
+});
+
+test('only an admin-issued token puts a game in a tournament', async t => {
+    const server = await startServer({ config: { adminApiKey: 'admin-key' } });
+    t.after(() => server.close());
+
+    const api = server.url.replace('ws:', 'http:');
+    const headers = { authorization: 'Bearer admin-key', 'content-type': 'application/json' };
+    await fetch(`${api}/api/tournaments`, { method: 'POST', headers, body: JSON.stringify({ name: 'League', tournamentId: 'league' }) });
+
+    // Knowing the public tournament id isn't enough
+    const outsider = await server.connect('outsider');
+    outsider.send('CREATE_GAME', { hostId: 'host-1', tournamentId: 'league' });
+    await outsider.expect('GAME_CREATED', { tournamentId: null });
+    outsider.send('CREATE_GAME', { hostId: 'host-1', tournamentToken: 'forged.token' });
+    await outsider.expectError('UNAUTHORIZED', { messageType: 'CREATE_GAME' });
+
+    const entry = await (await fetch(`${api}/api/tournaments/league/entry-token`, { method: 'POST', headers })).json();
+    const host = await server.connect('host');
+    host.send('CREATE_GAME', { hostId: 'host-2', tournamentToken: entry.token });
+    const { gameCode } = await host.expect('GAME_CREATED', { tournamentId: 'league' });
+
+    // Stamped by the server's clock
+    const league = await (await fetch(`${api}/api/tournaments/league`)).json();
+    assert.equal(league.createdAt, server.clock.now());
+    assert.deepEqual(league.games.map(game => [game.gameCode, game.addedAt]), [[gameCode, server.clock.now()]]);
+});
+
+test('a score corrected after the reveal updates the standings and the tournament', async t => {
+    const server = await startServer({ config: { adminApiKey: 'admin-key' } });
+    t.after(() => server.close());
+
+    const api = server.url.replace('ws:', 'http:');
+    const headers = { authorization: 'Bearer admin-key', 'content-type': 'application/json' };
+    await fetch(`${api}/api/tournaments`, { method: 'POST', headers, body: JSON.stringify({ name: 'League', tournamentId: 'league' }) });
+    const entry = await (await fetch(`${api}/api/tournaments/league/entry-token`, { method: 'POST', headers })).json();
+
+    const host = await server.connect('host');
+    host.send('CREATE_GAME', { hostId: 'host-1', tournamentToken: entry.token });
+    await host.expect('GAME_CREATED', { tournamentId: 'league' });
+    const players = [];
+    for (const [name, teamName] of [['Ann', 'Tigers'], ['Cat', 'Lions']]) {
+        const player = await server.connect(name);
+        player.send('JOIN_GAME', { gameCode: host.gameCode, playerId: name.toLowerCase(), playerName: name, teamName: teamName });
+        await player.expect('GAME_JOINED');
+        await host.expect('PLAYER_JOINED');
+        players.push(player);
+    }
+    const [Ann, Cat] = players;
+    const everyone = [host, Ann, Cat];
+
+    host.send('GAME_STARTED', { games: [['Pub night', 1]] });
+    await expectAll(everyone, 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll([Ann, Cat], 'GAME_STARTED');
+    host.send('SCORE_UPDATED', { teamName: 'Tigers', scores: [3] });
+    await expectAll([Ann, host], 'SCORE_UPDATED', { totalScore: 3 });
+
+    host.send('REVEAL_FINAL_SCORES');
+    await expectAll(everyone, 'PHASE_CHANGED', { phase: 'finished' });
+    await expectAll(everyone, 'REVEAL_FINAL_SCORES');
+    await expectAll(everyone, 'TOURNAMENT_UPDATED');
+
+    host.send('SCORE_UPDATED', { teamName: 'Lions', scores: [5] });
+    await expectAll([Cat, host], 'SCORE_UPDATED', { totalScore: 5 });
+    const { standings } = await host.expect('REVEAL_FINAL_SCORES', { corrected: true });
+    assert.deepEqual(standings.map(row => [row.rank, row.teamName]), [[1, 'Lions'], [2, 'Tigers']]);
+    await expectAll([Ann, Cat], 'REVEAL_FINAL_SCORES', { standings: standings });
+    await expectAll(everyone, 'TOURNAMENT_UPDATED');
+
+    const league = await (await fetch(`${api}/api/tournaments/league`)).json();
+    assert.deepEqual(league.leaderboard.map(row => [row.name, row.totalScore]), [['Lions', 5], ['Tigers', 3]]);
+
+    for (const client of everyone) {
+        await client.expectNothing();
+    }
+});
+
+test('behind a proxy the client IP is the one the proxy added', async t => {
+    const server = await startServer({ config: { adminApiKey: 'admin-key', trustProxy: 1 } });
+    t.after(() => server.close());
+
+    // The client made up the first entry; our proxy appended the second
+    const ws = new WebSocket(server.url, { headers: { 'x-forwarded-for': '198.51.100.7, 203.0.113.9' } });
+    t.after(() => ws.terminate());
+    await new Promise(resolve => ws.once('open', resolve));
+
+    const response = await fetch(`${server.url.replace('ws:', 'http:')}/api/connections`, {
+        headers: { authorization: 'Bearer admin-key' }
+    });
+    const { connections } = await response.json();
+    assert.deepEqual(connections.map(connection => connection.ip), ['203.0.113.9']);
+});
+
+test('a host invite works once, expires and can be revoked', async t => {
+    const server = await startServer({ config: { hostInviteTtl: 10 * 1000 } });
+    t.after(() => server.close());
+
+    const { host } = await setUpShow(server, { Tigers: ['Ann'] });
+    const [first, second, third] = await Promise.all(['first', 'second', 'third'].map(name => server.connect(name)));
+    const invite = async () => {
+        host.send('INVITE_HOST', { role: 'cohost' });
+        return host.expect('HOST_INVITE', { role: 'cohost' });
+    };
+    const join = (client, { inviteToken }) => client.send('JOIN_AS_HOST', { gameCode: host.gameCode, inviteToken, name: client.name });
+
+    const used = await invite();
+    join(first, used);
+    await first.expect('HOST_JOINED', { role: 'cohost' });
+    await expectAll([host, first], 'HOSTS_UPDATED');
+    join(second, used);
+    await second.expectError('UNAUTHORIZED', { messageType: 'JOIN_AS_HOST' });
+
+    const revoked = await invite();
+    host.send('REVOKE_HOST_INVITE', { inviteId: revoked.inviteId });
+    await expectAll([host, first], 'HOST_INVITE_REVOKED', { inviteId: revoked.inviteId });
+    join(second, revoked);
+    await second.expectError('UNAUTHORIZED', { messageType: 'JOIN_AS_HOST' });
+
+    const expired = await invite();
+    server.clock.advance(10 * 1000 + 1);
+    join(third, expired);
+    await third.expectError('UNAUTHORIZED', { messageType: 'JOIN_AS_HOST' });
+
+    for (const client of [host, first, second, third]) {
+        await client.expectNothing();
+    }
+});
@@ -0,0 +1,362 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, expectAll, setUpShow } = require('./harness');
+
+test('a full show: join, buzz, score and reveal', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann', 'Bob'], Lions: ['Cat'] });
+    const { Ann, Bob, Cat } = players;
+    const everyone = [Ann, Bob, Cat];
+
+    host.send('GAME_STARTED', { games: [['Pub night', 2]], currentGame: 1, currentRound: 1 });
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'buzz-open', previous: 'lobby' });
+    await expectAll(everyone, 'GAME_STARTED', { currentGame: 1, currentRound: 1, buzzersArmed: true });
+
+    // Cat is faster; Ann's buzz locks out her teammate Bob
+    Cat.send('PLAYER_BUZZ');
+    await Cat.expect('BUZZ_RESPONSE', { success: true });
+    server.clock.advance(40);
+    Ann.send('PLAYER_BUZZ');
+    await Ann.expect('BUZZ_RESPONSE', { success: true });
+    await Bob.expect('BUZZ_RESPONSE', { success: false, reason: 'Your teammate beat you to it!' });
+
+    server.clock.advance(150); // closes the buzz window
+    await host.expect('PLAYER_BUZZED', { playerId: 'cat', teamName: 'Lions', position: 1 });
+    await host.expect('PLAYER_BUZZED', { playerId: 'ann', teamName: 'Tigers', position: 2, reactionTime: 40 });
+    const order = await host.expect('BUZZ_ORDER');
+    assert.deepEqual(order.buzzedPlayers.map(buzz => buzz.playerId), ['cat', 'ann']);
+    await expectAll(everyone, 'BUZZ_ORDER', { buzzedPlayers: order.buzzedPlayers });
+
+    host.send('CLEAR_BUZZERS');
+    await expectAll(everyone, 'CLEAR_BUZZERS');
+
+    // Teams score themselves, the host corrects
+    host.send('ENABLE_SCORING');
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'scoring', previous: 'buzz-open' });
+    await expectAll(everyone, 'ENABLE_SCORING');
+
+    Ann.send('SUBMIT_SCORE', { score: 5, game: 1, round: 1 });
+    await Ann.expect('SCORE_CONFIRMED', { score: 5, totalScore: 5 });
+    await host.expect('SCORE_SUBMITTED', { teamName: 'Tigers', score: 5, totalScore: 5 });
+
+    host.send('SCORE_UPDATED', { teamName: 'Lions', scores: [3] });
+    await host.expect('SCORE_UPDATED', { teamName: 'Lions', totalScore: 3 });
+    await Cat.expect('SCORE_UPDATED', { roundScores: [3], totalScore: 3 });
+
+    host.send('CLOSE_SCORING');
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'intermission', previous: 'scoring' });
+    await expectAll([host, ...everyone], 'SCORING_CLOSED');
+
+    host.send('ROUND_UPDATE', { currentGame: 1, currentRound: 2 });
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'buzz-open', previous: 'intermission' });
+    await expectAll(everyone, 'ROUND_UPDATE', { currentGame: 1, currentRound: 2 });
+
+    host.send('REVEAL_FINAL_SCORES');
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'finished', previous: 'buzz-open' });
+    await expectAll([host, ...everyone], 'REVEAL_FINAL_SCORES', {
+        standings: [
+            { rank: 1, teamName: 'Tigers', totalScore: 5, tied: false, decidedBy: null },
+            { rank: 2, teamName: 'Lions', totalScore: 3, tied: false, decidedBy: null }
+        ]
+    });
+
+    for (const client of [host, ...everyone]) {
+        await client.expectNothing();
+    }
+});
+
+test('messages outside their phase are refused', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'] });
+    const { Ann } = players;
+
+    Ann.send('PLAYER_BUZZ');
+    await Ann.expectError('WRONG_PHASE', { messageType: 'PLAYER_BUZZ' });
+    host.send('ROUND_UPDATE', { currentGame: 1, currentRound: 2 });
+    await host.expectError('WRONG_PHASE', { messageType: 'ROUND_UPDATE' });
+
+    host.send('GAME_STARTED', { games: [['Pub night', 1]] });
+    await expectAll([host, Ann], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await Ann.expect('GAME_STARTED');
+
+    Ann.send('SUBMIT_SCORE', { score: 5, game: 1, round: 1 });
+    await Ann.expectError('WRONG_PHASE', { messageType: 'SUBMIT_SCORE' });
+
+    host.send('REVEAL_FINAL_SCORES');
+    await expectAll([host, Ann], 'PHASE_CHANGED', { phase: 'finished' });
+    await expectAll([host, Ann], 'REVEAL_FINAL_SCORES');
+
+    // Nothing more to play once the scores are out
+    Ann.send('PLAYER_BUZZ');
+    await Ann.expectError('WRONG_PHASE', { messageType: 'PLAYER_BUZZ' });
+    const late = await server.connect('Late');
+    late.send('JOIN_GAME', { gameCode: host.gameCode, playerName: 'Late', teamName: 'Tigers' });
+    await late.expectError('WRONG_PHASE', { messageType: 'JOIN_GAME' });
+
+    for (const client of [host, Ann, late]) {
+        await client.expectNothing();
+    }
+});
+
+test('players cannot act for the host', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'] });
+
+    players.Ann.send('GAME_STARTED', { games: [['Pub night', 1]] });
+    await players.Ann.expectError('UNAUTHORIZED', { messageType: 'GAME_STARTED' });
+
+    await host.expectNothing();
+    await players.Ann.expectNothing();
+});
+
+test('joining as manager does not take over a team that has one', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'] });
+    const { Ann } = players;
+
+    const Bob = await server.connect('Bob');
+    Bob.send('JOIN_GAME', { gameCode: host.gameCode, playerId: 'bob', playerName: 'Bob', teamName: 'Tigers', isManager: true });
+    await Bob.expect('GAME_JOINED', { playerId: 'bob' });
+    await host.expect('PLAYER_JOINED', { playerId: 'bob', isManager: false });
+
+    host.send('GAME_STARTED', { games: [['Pub night', 1]] });
+    await expectAll([host, Ann, Bob], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll([Ann, Bob], 'GAME_STARTED');
+    host.send('ENABLE_SCORING');
+    await expectAll([host, Ann, Bob], 'PHASE_CHANGED', { phase: 'scoring' });
+    await expectAll([Ann, Bob], 'ENABLE_SCORING');
+
+    Bob.send('SUBMIT_SCORE', { score: 5, game: 1, round: 1 });
+    await Bob.expectError('NOT_TEAM_MANAGER', { messageType: 'SUBMIT_SCORE' });
+    Ann.send('SUBMIT_SCORE', { score: 5, game: 1, round: 1 });
+    await Ann.expect('SCORE_CONFIRMED', { score: 5 });
+    await host.expect('SCORE_SUBMITTED', { teamName: 'Tigers' });
+
+    for (const client of [host, Ann, Bob]) {
+        await client.expectNothing();
+    }
+});
+
+test('the host can only hand a team to one of its own players', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann', 'Bob'], Lions: ['Cat'] });
+    const { Ann, Bob, Cat } = players;
+
+    host.send('MANAGER_CHANGED', { teamName: 'Tigers', newManagerId: 'cat' });
+    await host.expectError('PLAYER_NOT_FOUND', { messageType: 'MANAGER_CHANGED' });
+
+    host.send('MANAGER_CHANGED', { teamName: 'Tigers', newManagerId: 'bob' });
+    await expectAll([Ann, Bob, Cat], 'MANAGER_CHANGED', { teamName: 'Tigers', newManagerId: 'bob' });
+
+    for (const client of [host, Ann, Bob, Cat]) {
+        await client.expectNothing();
+    }
+});
+
+test('a player who drops out catches up on what they missed', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'], Lions: ['Cat'] });
+    const { Ann, Cat } = players;
+
+    host.send('GAME_STARTED', { games: [['Pub night', 2]], currentGame: 1, currentRound: 1 });
+    await expectAll([host, Ann, Cat], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll([Ann, Cat], 'GAME_STARTED');
+
+    Ann.close();
+    await host.expect('PLAYER_DISCONNECTED', { playerId: 'ann' });
+
+    host.send('ENABLE_SCORING');
+    await expectAll([host, Cat], 'PHASE_CHANGED', { phase: 'scoring' });
+    await Cat.expect('ENABLE_SCORING');
+
+    const back = await server.connect('Ann again');
+    back.send('REJOIN_GAME', {
+        gameCode: Ann.gameCode,
+        sessionToken: Ann.sessionToken,
+        lastSeq: Ann.lastSeq,
+        eventEpoch: Ann.eventEpoch
+    });
+    await back.expect('SESSION_RESUMED', { replayed: 2 });
+    await back.expect('PHASE_CHANGED', { phase: 'scoring' });
+    await back.expect('ENABLE_SCORING');
+    await host.expect('PLAYER_JOINED', { playerId: 'ann' });
+
+    for (const client of [host, Cat, back]) {
+        await client.expectNothing();
+    }
+});
+
+test('a team keeps its score when its last player is moved or kicked', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'], Lions: ['Cat'] });
+    const { Ann, Cat } = players;
+
+    host.send('GAME_STARTED', { games: [['Pub night', 1]] });
+    await expectAll([host, Ann, Cat], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll([Ann, Cat], 'GAME_STARTED');
+
+    for (const [player, teamName, score] of [[Ann, 'Tigers', 7], [Cat, 'Lions', 4]]) {
+        host.send('SCORE_UPDATED', { teamName: teamName, scores: [score] });
+        await host.expect('SCORE_UPDATED', { teamName: teamName });
+        await player.expect('SCORE_UPDATED');
+    }
+
+    host.send('MOVE_PLAYER', { playerId: 'ann', teamName: 'Tigerz' });
+    await expectAll([host, Ann, Cat], 'PLAYER_MOVED', { fromTeam: 'Tigers', toTeam: 'Tigerz' });
+
+    host.send('KICK_PLAYER', { playerId: 'cat' });
+    await Cat.expect('KICKED');
+    await expectAll([host, Ann], 'PLAYER_KICKED', { playerId: 'cat' });
+
+    host.send('REVEAL_FINAL_SCORES');
+    await expectAll([host, Ann], 'PHASE_CHANGED', { phase: 'finished' });
+    const { standings } = await host.expect('REVEAL_FINAL_SCORES');
+    await Ann.expect('REVEAL_FINAL_SCORES');
+    assert.deepEqual(standings.map(row => [row.teamName, row.totalScore]), [['Tigers', 7], ['Lions', 4], ['Tigerz', 0]]);
+
+    for (const client of [host, Ann]) {
+        await client.expectNothing();
+    }
+});
+
+test('a kicked and blocked player cannot come back by id, session or address', async t => {
+    const server = await startServer({ config: { trustProxy: 1 } });
+    t.after(() => server.close());
+
+    const from = ip => ({ headers: { 'x-forwarded-for': ip } });
+    const join = async (name, playerId, ip) => {
+        const client = await server.connect(name, from(ip));
+        client.send('JOIN_GAME', { gameCode: host.gameCode, playerId: playerId, playerName: name, teamName: 'Tigers' });
+        return client;
+    };
+
+    const host = await server.connect('host');
+    host.send('CREATE_GAME', { hostId: 'host-1' });
+    await host.expect('GAME_CREATED');
+    const Ann = await join('Ann', 'ann', '198.51.100.7');
+    await Ann.expect('GAME_JOINED');
+    await host.expect('PLAYER_JOINED', { playerId: 'ann' });
+    const Bob = await join('Bob', 'bob', '203.0.113.9');
+    await Bob.expect('GAME_JOINED');
+    await host.expect('PLAYER_JOINED', { playerId: 'bob' });
+
+    host.send('KICK_PLAYER', { playerId: 'ann', block: true });
+    await Ann.expect('KICKED');
+    await expectAll([host, Bob], 'PLAYER_KICKED', { playerId: 'ann', blocked: true });
+
+    const sameAddress = await join('Ann again', 'ann-2', '198.51.100.7');
+    await sameAddress.expectError('PLAYER_BLOCKED', { messageType: 'JOIN_GAME' });
+    const sameId = await join('Ann again', 'ann', '192.0.2.1');
+    await sameId.expectError('PLAYER_BLOCKED', { messageType: 'JOIN_GAME' });
+    const sameSession = await server.connect('Ann again', from('192.0.2.1'));
+    sameSession.send('REJOIN_GAME', { gameCode: host.gameCode, sessionToken: Ann.sessionToken });
+    await sameSession.expectError('PLAYER_BLOCKED', { messageType: 'REJOIN_GAME' });
+
+    const Cat = await join('Cat', 'cat', '192.0.2.1');
+    await Cat.expect('GAME_JOINED');
+    await host.expect('PLAYER_JOINED', { playerId: 'cat' });
+
+    for (const client of [host, Bob, Cat]) {
+        await client.expectNothing();
+    }
+});
+
+test('written answers can be marked after moving on to the next question', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'], Lions: ['Cat'] });
+    const { Ann, Cat } = players;
+
+    host.send('GAME_STARTED', { format: { games: [{ rounds: [{ type: 'written', scoring: 'host', points: 2 }] }] } });
+    await expectAll([host, Ann, Cat], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll([Ann, Cat], 'GAME_STARTED');
+    host.send('UPLOAD_QUESTIONS', { questions: [{ id: 'q1', text: 'One?', answer: 'A' }, { id: 'q2', text: 'Two?', answer: 'B' }] });
+    await host.expect('QUESTIONS_UPLOADED');
+
+    for (const [questionId, text] of [['q1', 'A'], ['q2', 'C']]) {
+        host.send('NEXT_QUESTION');
+        const { question } = await host.expect('QUESTION_SELECTED');
+        assert.equal(question.id, questionId);
+        Ann.send('DRAFT_ANSWER', { text: text });
+        await Ann.expect('ANSWER_DRAFTED', { text: text });
+        Ann.send('LOCK_ANSWER');
+        await expectAll([host, Ann], 'ANSWER_LOCKED', { teamName: 'Tigers', text: text });
+        host.send('CLOSE_ANSWERS');
+        await expectAll([host, Ann, Cat], 'ANSWERS_CLOSED');
+    }
+
+    // Question 1's sheet is still there to mark, and question 2 is the default
+    host.send('MARK_ANSWERS', { questionId: 'q1', results: [{ teamName: 'Tigers', correct: true }] });
+    await expectAll([host, Ann, Cat], 'ANSWERS_MARKED', {
+        questionId: 'q1',
+        results: [{ teamName: 'Tigers', answer: 'A', correct: true, points: 2, totalScore: 2 }]
+    });
+    await expectAll([host, Ann], 'SCORE_UPDATED', { totalScore: 2 });
+
+    host.send('MARK_ANSWERS', { results: [{ teamName: 'Tigers', correct: false }] });
+    await expectAll([host, Ann, Cat], 'ANSWERS_MARKED', {
+        questionId: 'q2',
+        results: [{ teamName: 'Tigers', answer: 'C', correct: false, points: 0, totalScore: 2 }]
+    });
+    await expectAll([host, Ann], 'SCORE_UPDATED', { totalScore: 2 });
+
+    for (const client of [host, Ann, Cat]) {
+        await client.expectNothing();
+    }
+});
+
+test('wager and answer results have to be { teamName, correct } entries', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'] });
+    const { Ann } = players;
+
+    host.send('GAME_STARTED', { format: { games: [{ rounds: [{ type: 'wager' }, { type: 'written', scoring: 'host' }] }] } });
+    await expectAll([host, Ann], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await Ann.expect('GAME_STARTED');
+    host.send('SCORE_UPDATED', { teamName: 'Tigers', scores: [3] });
+    await expectAll([host, Ann], 'SCORE_UPDATED', { totalScore: 3 });
+
+    Ann.send('SUBMIT_WAGER', { amount: 2 });
+    await Ann.expect('WAGER_CONFIRMED');
+    await host.expect('WAGER_SUBMITTED');
+    host.send('LOCK_WAGERS');
+    await expectAll([host, Ann], 'WAGERS_LOCKED');
+
+    for (const results of [[null], [{ teamName: 'Tigers', correct: 'yes' }]]) {
+        host.send('RESOLVE_WAGERS', { results: results });
+        await host.expectError('INVALID_WAGER', { message: 'Results must be a list of { teamName, correct }' });
+    }
+
+    host.send('ROUND_UPDATE', { currentGame: 1, currentRound: 2 });
+    await Ann.expect('ROUND_UPDATE');
+    Ann.send('DRAFT_ANSWER', { text: 'A' });
+    await Ann.expect('ANSWER_DRAFTED');
+    Ann.send('LOCK_ANSWER');
+    await expectAll([host, Ann], 'ANSWER_LOCKED');
+    host.send('CLOSE_ANSWERS');
+    await expectAll([host, Ann], 'ANSWERS_CLOSED');
+
+    host.send('MARK_ANSWERS', { results: [null] });
+    await host.expectError('INVALID_ANSWER', { message: 'Results must be a list of { teamName, correct }' });
+
+    for (const client of [host, Ann]) {
+        await client.expectNothing();
+    }
+});
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, expectAll, setUpShow } = require('./harness');
+const { computeStandings } = require('../standings');
+const { parseGameFormat } = require('../gameFormat');
+
+test('tie-breakers separate teams level on points, in order', () => {
+    const teams = [
+        { name: 'Tigers', totalScore: 10, lastRoundScore: 4, wrongBuzzes: 2 },
+        { name: 'Lions', totalScore: 10, lastRoundScore: 4, wrongBuzzes: 1 },
+        { name: 'Bears', totalScore: 10, lastRoundScore: 6, wrongBuzzes: 5 },
+        { name: 'Owls', totalScore: 12, lastRoundScore: 0, wrongBuzzes: 0 },
+        { name: 'Cats', totalScore: 3, lastRoundScore: 1, wrongBuzzes: 0 },
+        { name: 'Dogs', totalScore: 3, lastRoundScore: 1, wrongBuzzes: 0 }
+    ];
+
+    assert.deepEqual(computeStandings(teams, ['lastRound', 'fewestWrongBuzzes']), [
+        { rank: 1, teamName: 'Owls', totalScore: 12, tied: false, decidedBy: null },
+        { rank: 2, teamName: 'Bears', totalScore: 10, tied: false, decidedBy: 'lastRound' },
+        { rank: 3, teamName: 'Lions', totalScore: 10, tied: false, decidedBy: 'lastRound' },
+        { rank: 4, teamName: 'Tigers', totalScore: 10, tied: false, decidedBy: 'lastRound' },
+        { rank: 5, teamName: 'Cats', totalScore: 3, tied: true, decidedBy: null },
+        { rank: 5, teamName: 'Dogs', totalScore: 3, tied: true, decidedBy: null }
+    ]);
+
+    // Without tie-breakers equal totals just share a rank
+    assert.deepEqual(computeStandings(teams).map(row => row.rank), [1, 2, 2, 2, 5, 5]);
+});
+
+test('sudden death has to be the last tie-breaker', () => {
+    const games = [{ rounds: [{}] }];
+    assert.deepEqual(parseGameFormat({ tieBreakers: ['suddenDeath', 'lastRound'], games }).errors,
+        ['suddenDeath must be the last tie-breaker']);
+    assert.deepEqual(parseGameFormat({ tieBreakers: ['lastRound', 'suddenDeath'], games }).errors, []);
+});
+
+test('a tie for first is settled by a sudden-death buzz-off', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, {
+        Tigers: ['Ann'],
+        Lions: ['Cat'],
+        Bears: ['Dan'],
+        Owls: ['Eve']
+    });
+    const { Ann, Cat, Dan, Eve } = players;
+    const everyone = [Ann, Cat, Dan, Eve];
+
+    host.send('GAME_STARTED', { format: { tieBreakers: ['lastRound', 'suddenDeath'], games: [{ rounds: [{}, {}] }] } });
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll(everyone, 'GAME_STARTED');
+
+    // Three teams level on points and on the last round
+    const scores = [[Ann, 'Tigers', [2, 3]], [Cat, 'Lions', [2, 3]], [Dan, 'Bears', [2, 3]], [Eve, 'Owls', [1, 1]]];
+    for (const [player, teamName, roundScores] of scores) {
+        host.send('SCORE_UPDATED', { teamName: teamName, scores: roundScores });
+        await host.expect('SCORE_UPDATED', { teamName: teamName });
+        await player.expect('SCORE_UPDATED', { roundScores: roundScores });
+    }
+
+    host.send('REVEAL_FINAL_SCORES');
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'sudden-death', previous: 'buzz-open' });
+    await expectAll([host, ...everyone], 'SUDDEN_DEATH_STARTED', { contenders: ['Tigers', 'Lions', 'Bears'] });
+
+    Eve.send('PLAYER_BUZZ');
+    await Eve.expect('BUZZ_RESPONSE', { success: false, code: 'NOT_CONTENDING' });
+
+    // Ann is first in but wrong, which knocks the Tigers out
+    Ann.send('PLAYER_BUZZ');
+    await Ann.expect('BUZZ_RESPONSE', { success: true });
+    server.clock.advance(150);
+    await host.expect('PLAYER_BUZZED', { playerId: 'ann', position: 1 });
+    await expectAll([host, ...everyone], 'BUZZ_ORDER');
+
+    host.send('MARK_BUZZ_WRONG', { playerId: 'ann' });
+    await expectAll([host, ...everyone], 'BUZZ_MARKED_WRONG', { teamName: 'Tigers', teamLockedOut: true, buzzedPlayers: [] });
+
+    Ann.send('PLAYER_BUZZ');
+    await Ann.expect('BUZZ_RESPONSE', { success: false, code: 'ANSWERED_WRONG' });
+
+    Cat.send('PLAYER_BUZZ');
+    await Cat.expect('BUZZ_RESPONSE', { success: true });
+    server.clock.advance(150);
+    await host.expect('PLAYER_BUZZED', { playerId: 'cat', position: 1 });
+    await expectAll([host, ...everyone], 'BUZZ_ORDER');
+
+    host.send('MARK_BUZZ_CORRECT', { playerId: 'cat' });
+    await expectAll([host, ...everyone], 'PHASE_CHANGED', { phase: 'finished', previous: 'sudden-death' });
+    await expectAll([host, ...everyone], 'REVEAL_FINAL_SCORES', {
+        standings: [
+            { rank: 1, teamName: 'Lions', totalScore: 5, tied: false, decidedBy: 'suddenDeath' },
+            { rank: 2, teamName: 'Tigers', totalScore: 5, tied: true, decidedBy: 'suddenDeath' },
+            { rank: 2, teamName: 'Bears', totalScore: 5, tied: true, decidedBy: 'suddenDeath' },
+            { rank: 4, teamName: 'Owls', totalScore: 2, tied: false, decidedBy: null }
+        ]
+    });
+
+    for (const client of [host, ...everyone]) {
+        await client.expectNothing();
+    }
+});
+
+test('the host can clear the buzzers in sudden death, or call it off with first place shared', async t => {
+    const server = await startServer();
+    t.after(() => server.close());
+
+    const { host, players } = await setUpShow(server, { Tigers: ['Ann'], Lions: ['Cat'] });
+    const { Ann, Cat } = players;
+
+    host.send('GAME_STARTED', { format: { tieBreakers: ['suddenDeath'], games: [{ rounds: [{}] }] } });
+    await expectAll([host, Ann, Cat], 'PHASE_CHANGED', { phase: 'buzz-open' });
+    await expectAll([Ann, Cat], 'GAME_STARTED');
+
+    host.send('REVEAL_FINAL_SCORES');
+    await expectAll([host, Ann, Cat], 'PHASE_CHANGED', { phase: 'sudden-death' });
+    await expectAll([host, Ann, Cat], 'SUDDEN_DEATH_STARTED', { contenders: ['Tigers', 'Lions'] });
+
+    Ann.send('PLAYER_BUZZ');
+    await Ann.expect('BUZZ_RESPONSE', { success: true });
+    server.clock.advance(150);
+    await host.expect('PLAYER_BUZZED', { playerId: 'ann' });
+    await expectAll([host, Ann, Cat], 'BUZZ_ORDER');
+
+    host.send('CLEAR_BUZZERS');
+    await expectAll([Ann, Cat], 'CLEAR_BUZZERS');
+    Cat.send('PLAYER_BUZZ');
+    await Cat.expect('BUZZ_RESPONSE', { success: true });
+    server.clock.advance(150);
+    await host.expect('PLAYER_BUZZED', { playerId: 'cat', position: 1 });
+    await expectAll([host, Ann, Cat], 'BUZZ_ORDER');
+
+    host.send('REVEAL_FINAL_SCORES');
+    await expectAll([host, Ann, Cat], 'PHASE_CHANGED', { phase: 'finished', previous: 'sudden-death' });
+    await expectAll([host, Ann, Cat], 'REVEAL_FINAL_SCORES', {
+        standings: [
+            { rank: 1, teamName: 'Tigers', totalScore: 0, tied: true, decidedBy: null },
+            { rank: 1, teamName: 'Lions', totalScore: 0, tied: true, decidedBy: null }
+        ]
+    });
+
+    for (const client of [host, Ann, Cat]) {
+        await client.expectNothing();
+    }
+});
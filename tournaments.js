@@ -0,0 +1,189 @@
+// Tournaments - a season of shows. Game codes come and go within the hour, so
+// each game's final results are copied in here when it ends, and teams keep one
+// identity across games by name (case-insensitive) plus any aliases.
+
+function teamKey(name) {
+    return name.trim().toLowerCase();
+}
+
+class Tournament {
+    constructor(tournamentId, name, now = Date.now) {
+        this.tournamentId = tournamentId;
+        this.name = name;
+        this.now = now;
+        this.teams = new Map(); // teamId -> { teamId, name, aliases }
+        this.games = []; // [{ gameCode, addedAt, endedAt, results }] - results null until the game ends
+        this.nextTeamId = 1;
+        this.createdAt = now();
+    }
+
+    toJSON() {
+        return {
+            tournamentId: this.tournamentId,
+            name: this.name,
+            teams: Array.from(this.teams.values()),
+            games: this.games,
+            nextTeamId: this.nextTeamId,
+            createdAt: this.createdAt
+        };
+    }
+
+    static fromJSON(data, now = Date.now) {
+        const tournament = new Tournament(data.tournamentId, data.name, now);
+        tournament.teams = new Map(data.teams.map(team => [team.teamId, team]));
+        tournament.games = data.games || [];
+        tournament.nextTeamId = data.nextTeamId;
+        tournament.createdAt = data.createdAt;
+        return tournament;
+    }
+
+    findTeam(name) {
+        const key = teamKey(name);
+        for (const team of this.teams.values()) {
+            if (team.aliases.includes(key)) return team;
+        }
+        return null;
+    }
+
+    // The season identity for a team name, registered on first sight
+    resolveTeam(name) {
+        const existing = this.findTeam(name);
+        if (existing) return existing;
+
+        const team = {
+            teamId: `T${this.nextTeamId++}`,
+            name: name.trim(),
+            aliases: [teamKey(name)]
+        };
+        this.teams.set(team.teamId, team);
+        return team;
+    }
+
+    // A team renamed mid-show stays the same team; returns an error message or null
+    addAlias(oldName, newName) {
+        const team = this.resolveTeam(oldName);
+        const other = this.findTeam(newName);
+        if (other && other !== team) {
+            return `${newName} is already a different team in this tournament`;
+        }
+
+        if (!other) team.aliases.push(teamKey(newName));
+        team.name = newName.trim();
+        return null;
+    }
+
+    // Folds one team into another when they turn out to be the same people
+    mergeTeams(teamId, duplicateId) {
+        const team = this.teams.get(teamId);
+        const duplicate = this.teams.get(duplicateId);
+        if (!team || !duplicate) return 'Team not found';
+        if (team === duplicate) return 'Cannot merge a team with itself';
+
+        const clash = this.games.find(game => game.results &&
+            game.results.some(result => result.teamId === teamId) &&
+            game.results.some(result => result.teamId === duplicateId));
+        if (clash) return `Both teams played in game ${clash.gameCode}`;
+
+        team.aliases.push(...duplicate.aliases);
+        this.games.forEach(game => {
+            (game.results || []).forEach(result => {
+                if (result.teamId === duplicateId) result.teamId = teamId;
+            });
+        });
+        this.teams.delete(duplicateId);
+        return null;
+    }
+
+    hasGame(gameCode) {
+        return this.games.some(game => game.gameCode === gameCode);
+    }
+
+    addGame(gameCode) {
+        if (!this.hasGame(gameCode)) {
+            this.games.push({ gameCode: gameCode, addedAt: this.now(), endedAt: null, results: null });
+        }
+    }
+
+    // Takes GameState#getResults() output; recording the same game again replaces its results
+    recordResults(results) {
+        let entry = this.games.find(game => game.gameCode === results.gameCode);
+        if (!entry) {
+            this.addGame(results.gameCode);
+            entry = this.games[this.games.length - 1];
+        }
+
+        entry.endedAt = this.now();
+        entry.results = results.teams.map(team => ({
+            teamId: this.resolveTeam(team.name).teamId,
+            name: team.name,
+            totalScore: team.totalScore,
+            rank: team.rank
+        }));
+        return entry;
+    }
+
+    // Season standings - most points first, then most wins, then best average placement
+    getLeaderboard() {
+        const rows = new Map();
+        this.teams.forEach(team => {
+            rows.set(team.teamId, {
+                teamId: team.teamId,
+                name: team.name,
+                gamesPlayed: 0,
+                totalScore: 0,
+                wins: 0,
+                placements: []
+            });
+        });
+
+        this.games.forEach(game => {
+            (game.results || []).forEach(result => {
+                const row = rows.get(result.teamId);
+                row.gamesPlayed++;
+                row.totalScore += result.totalScore;
+                if (result.rank === 1) row.wins++;
+                row.placements.push({ gameCode: game.gameCode, rank: result.rank, totalScore: result.totalScore });
+            });
+        });
+
+        const standings = Array.from(rows.values())
+            .filter(row => row.gamesPlayed > 0)
+            .map(row => ({
+                ...row,
+                averagePlacement: row.placements.reduce((sum, placement) => sum + placement.rank, 0) / row.gamesPlayed
+            }))
+            .sort((a, b) => b.totalScore - a.totalScore ||
+                b.wins - a.wins ||
+                a.averagePlacement - b.averagePlacement);
+
+        // Teams level on every tie-break share a rank
+        standings.forEach((row, i) => {
+            const previous = standings[i - 1];
+            const tied = previous &&
+                previous.totalScore === row.totalScore &&
+                previous.wins === row.wins &&
+                previous.averagePlacement === row.averagePlacement;
+            row.rank = tied ? previous.rank : i + 1;
+        });
+        return standings;
+    }
+
+    getStandings() {
+        return {
+            tournamentId: this.tournamentId,
+            name: this.name,
+            createdAt: this.createdAt,
+            games: this.games.map(game => ({
+                gameCode: game.gameCode,
+                addedAt: game.addedAt,
+                endedAt: game.endedAt,
+                completed: game.results !== null
+            })),
+            leaderboard: this.getLeaderboard()
+        };
+    }
+}
+
+module.exports = {
+    Tournament
+};